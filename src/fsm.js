@@ -1,350 +1,4895 @@
-(function(k) {
-  (function(fsm) {
-    'use strict'
-
-    /**
-     * This class is the built class of the FSM.
-     * It provides a fire method to execute a defined event if the current state accepts it.
-     * @final
-     */
-    class FSM {
-      /**
-       * Constructs the FSM with default values.
-       * <tt>states</tt> is not initialized here, because we have a bidirectional dependency
-       * between <tt>FSM</tt> and <tt>State</tt>.
-       *
-       * This method is not available outside the module.
-       *
-       * @protected
-       * @param {string} initialState - The initial state of the FSM
-       * @param {*} initialData - The initial data of the FSM
-       * @param {Array} onStateChangedListeners - Listeners of state changes
-       */
-      constructor(initialState, initialData, onStateChangedListeners) {
-        this._currentState = initialState
-        this._currentData = initialData
-        this._onStateChangedListeners = onStateChangedListeners
-        this._states = null // set after in builder.
-        this._toExecute = []
-        this._toExecuteOut = []
-      }
-
-      /**
-       * Fires the event with given arguments.
-       * This method accepts at least one argument, the event name.
-       * All other arguments will be arguments for the handler of the event in the given state.
-       *
-       * @public
-       * @param arguments The first one (mandatory) is the event name, other arguments of handler.
-       * @return this FSM (chained calls)
-       */
-      fire( /* dynamic arguments */ ) {
-        const oldState = this._currentState
-        const result = this._states[this._currentState].fire(Array.prototype.slice.call(arguments), this._currentData)
-        if (result == null || result.length < 2) {
-          throw 'All event handlers must return the next state and data. Error for event "' + arguments[0] + '" on state "' + oldState + '"'
-        }
-        this._currentState = result[0]
-        this._currentData = result[1]
-
-        if (oldState != this._currentState) {
-          for (let i = 0, c = this._onStateChangedListeners.length; i < c; i++) {
-            this._onStateChangedListeners[i](oldState, this._currentState)
-          }
-        }
-
-        // We clear functions to execute from current FSM to avoid collision if fire is launched by one of them.
-        const toExecute = this._toExecute
-        const toExecuteOut = this._toExecuteOut
-
-        this._toExecute = []
-        this._toExecuteOut = []
-
-        for (let i = 0, c = toExecute.length; i < c; i++) {
-          toExecute[i]()
-        }
-
-        for (let i = 0, c = toExecuteOut.length; i < c; i++) {
-          setTimeout(toExecuteOut[i], 0)
-        }
-        return this
-      }
-
-      /**
-       * Asks the FSM to postpone the execution of the given function after the end of the current event handler.
-       * This method should be executed inside a handler only.
-       *
-       * There will not be any other function called before the end of fire.
-       * It will execute the function inside the current execution stack,
-       * so you should not call another <tt>fire</tt> to prevent stack overflow.
-       * In this case, <tt>executeOut</tt> could help you.
-       *
-       * If this function is called several times, then all functions will be called in the same order.
-       *
-       * @protected
-       * @param The function to call
-       * @return this FSM (chained calls)
-       * @see {@link executeOut}
-       */
-      execute(callback) {
-        this._toExecute.push(callback)
-        return this
-      }
-
-      /**
-       * Asks the FSM to postpone the execution of the given function after the end of the current event handler.
-       * This method should be executed inside a handler only.
-       *
-       * There will not have a stack overflow because of inifinite call of <tt>fire</tt>.
-       * It will execute the function outside the current execution stack with a <tt>setTimeout</tt>,
-       * so there is no guarantee another function is called before the end of fire and the beginning of the given function.
-       * In this case, <tt>execute</tt> could help you.
-       *
-       * If this function is called several times, then all functions will be called without guarantee of the order.
-       *
-       * @protected
-       * @param The function to call
-       * @return this FSM (chained calls)
-       *
-       * @see {@link execute}
-       */
-      executeOut(callback) {
-        this._toExecuteOut.push(callback)
-        return this
-      }
-
-      /**
-       * Returns a clean version of this FSM structure.
-       *
-       * @public
-       * @param {boolean} [stringify=true] - If <tt>true</tt>, returns a string version with <tt>JSON.stringify</tt> of the object descriptor, otherwise the plain object.
-       */
-      describe(stringify) {
-        const states = []
-        for (let state in this._states) {
-          if (this._states.hasOwnProperty(state)) {
-            states.push(this._states[state].describe())
-          }
-        }
-        const result = {
-          "Current state": {
-            "state": this._currentState,
-            "data": this._currentData
+/**
+ * Universal module definition.
+ * The library is exported as an AMD module, a CommonJS module (Node, bundlers) or,
+ * as a fallback, in the global <tt>k.fsm</tt> namespace (browsers, workers).
+ */
+(function(root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define([], factory)
+  } else if (typeof module === 'object' && module.exports) {
+    module.exports = factory()
+  } else {
+    const k = root.k || (root.k = {})
+    const fsm = k.fsm || (k.fsm = {})
+    const api = factory()
+    for (let attr in api) {
+      if (api.hasOwnProperty(attr)) {
+        fsm[attr] = api[attr]
+      }
+    }
+  }
+})(typeof self !== 'undefined' ? self : typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : {}, function() {
+  'use strict'
+
+  /**
+   * The event name of wildcard handlers, see <tt>StateBuilder.on</tt>.
+   */
+  const WILDCARD = '*'
+
+  /**
+   * The event name fired when a state timeout expires, see <tt>FSMBuilder.when</tt>.
+   */
+  const STATE_TIMEOUT = 'StateTimeout'
+
+  /**
+   * The separator between the names of a state and its substates, see <tt>StateBuilder.when</tt>.
+   */
+  const SEPARATOR = '.'
+
+  /**
+   * The event name fired when all parallel regions are in final states, see <tt>FSMBuilder.region</tt>.
+   */
+  const DONE = 'Done'
+
+  /**
+   * Creates the frozen descriptor of an event given to fallback and error handlers.
+   *
+   * @param {string} name - The event name
+   * @param {Array} args - The event arguments
+   * @param {string} state - The state in which the event was fired
+   * @return {Object} The descriptor <tt>{name, args, state}</tt>
+   */
+  function eventDescriptor(name, args, state) {
+    return Object.freeze({
+      "name": name,
+      "args": args,
+      "state": state
+    })
+  }
+
+  /**
+   * Creates the frozen notification given to observers, see <tt>FSM.on</tt>.
+   *
+   * @param {Array} args - <tt>arguments</tt> from <tt>fire</tt> function
+   * @param {string|Object} from - The state before the transition
+   * @param {string|Object} to - The state after the transition
+   * @param {*} prevData - The data before the transition
+   * @param {*} data - The data after the transition
+   * @param {Object} [extra] - Additional properties of the notification
+   * @return {Object} The notification <tt>{event, args, from, to, prevData, data}</tt>
+   */
+  function notification(args, from, to, prevData, data, extra) {
+    return Object.freeze(Object.assign({
+      "event": args[0],
+      "args": args.slice(1),
+      "from": from,
+      "to": to,
+      "prevData": prevData,
+      "data": data
+    }, extra))
+  }
+
+  /**
+   * Checks if the value is a <tt>Promise</tt> or any other thenable.
+   *
+   * @param {*} value - The value
+   * @return {boolean} <tt>true</tt> if the value has a <tt>then</tt> function
+   */
+  function isThenable(value) {
+    return value != null && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function'
+  }
+
+  /**
+   * Returns the label of a guard in <tt>describe</tt> and diagrams.
+   *
+   * @param {function} guard - The guard
+   * @param {string} [label] - The label given in handler options
+   * @return {string} The given label, else the name of the guard function, else <tt>'guard'</tt>
+   */
+  function guardLabel(guard, label) {
+    if (label != null) {
+      return label
+    }
+    return guard.name ? guard.name : 'guard'
+  }
+
+  /**
+   * Returns the name of the parent state of the given state name.
+   * Substate names are prefixed by the name of their parent state and a dot, as <tt>'editing.draft'</tt>.
+   *
+   * @param {string} stateName - The state name
+   * @return {?string} The parent state name, <tt>null</tt> for a top-level state
+   */
+  function parentName(stateName) {
+    const index = String(stateName).lastIndexOf(SEPARATOR)
+    return index > 0 ? String(stateName).substring(0, index) : null
+  }
+
+  /**
+   * Creates the frozen state of a FSM with parallel regions, giving the state of each region relative to the region,
+   * as <tt>{connection: 'online', mode: 'editing'}</tt>.
+   * Its string form, used in messages, lists full names of current states, as <tt>'connection.online, mode.editing'</tt>.
+   *
+   * @param {Object} regionStates - The state of each region
+   * @return {Object} The frozen state
+   */
+  function regionsState(regionStates) {
+    const state = {}
+    for (let region in regionStates) {
+      if (regionStates.hasOwnProperty(region)) {
+        state[region] = regionStates[region]
+      }
+    }
+    Object.defineProperty(state, 'toString', {
+      value: function() {
+        return Object.keys(this).map(region => region + SEPARATOR + this[region]).join(', ')
+      }
+    })
+    return Object.freeze(state)
+  }
+
+  /**
+   * Freezes the value and all objects it contains.
+   *
+   * @param {*} value - The value
+   * @return {*} The frozen value
+   */
+  function deepFreeze(value) {
+    if (value != null && typeof value === 'object' && !Object.isFrozen(value)) {
+      Object.keys(value).forEach(key => deepFreeze(value[key]))
+      Object.freeze(value)
+    }
+    return value
+  }
+
+  /**
+   * Returns the JSON type of the value, as in JSON schemas.
+   *
+   * @param {*} value - The value
+   * @return {string} <tt>'null'</tt>, <tt>'array'</tt>, <tt>'integer'</tt>, <tt>'number'</tt> or the <tt>typeof</tt> the value
+   */
+  function jsonType(value) {
+    if (value === null) {
+      return 'null'
+    } else if (Array.isArray(value)) {
+      return 'array'
+    } else if (typeof value === 'number' && value % 1 === 0) {
+      return 'integer'
+    }
+    return typeof value
+  }
+
+  /**
+   * Resolves a reference to the definitions of the root schema, as <tt>'#/definitions/state'</tt>.
+   *
+   * @param {Object} root - The root schema
+   * @param {string} ref - The reference
+   * @return {Object} The referenced schema
+   * @throws {RangeError} If the reference is not a definition of the root schema
+   */
+  function resolveRef(root, ref) {
+    const prefix = '#/definitions/'
+    const name = ref.slice(prefix.length)
+    if (ref.indexOf(prefix) !== 0 || root.definitions == null || !root.definitions.hasOwnProperty(name)) {
+      throw new RangeError('The schema reference "' + ref + '" does not exist, expected one of the definitions of the schema')
+    }
+    return root.definitions[name]
+  }
+
+  /**
+   * Checks the value against a subset of JSON schema: <tt>type</tt>, <tt>enum</tt>, <tt>minimum</tt>, <tt>maximum</tt>,
+   * <tt>properties</tt>, <tt>required</tt>, <tt>additionalProperties</tt>, <tt>items</tt>, <tt>oneOf</tt>
+   * and <tt>$ref</tt> to the definitions of the root schema. Other keywords are ignored.
+   *
+   * When the value matches none of the schemas of <tt>oneOf</tt>, the issues of the only schema accepting its type are given,
+   * so that the path of the invalid value is kept.
+   *
+   * @param {Object} schema - The schema
+   * @param {*} value - The checked value
+   * @param {string} path - The path of the value, as <tt>'data.items[0]'</tt>
+   * @param {Array} issues - The array receiving issues <tt>{path, message}</tt>
+   * @param {Object} [root=schema] - The root schema, containing the <tt>definitions</tt>
+   */
+  function schemaIssues(schema, value, path, issues, root) {
+    root = root || schema
+    if (schema.$ref !== undefined) {
+      schemaIssues(resolveRef(root, schema.$ref), value, path, issues, root)
+      return
+    }
+    const issue = message => issues.push(Object.freeze({ "path": path, "message": path + ' ' + message }))
+    const type = jsonType(value)
+    if (schema.oneOf !== undefined) {
+      const results = schema.oneOf.map(option => {
+        const optionIssues = []
+        schemaIssues(option, value, path, optionIssues, root)
+        return optionIssues
+      })
+      const matching = results.filter(optionIssues => optionIssues.length === 0).length
+      if (matching > 1) {
+        issue('must match exactly one schema, found ' + matching)
+      } else if (matching === 0) {
+        const typed = results.filter(optionIssues => !optionIssues.some(optionIssue => optionIssue.message.indexOf(path + ' must be of type ') === 0))
+        if (typed.length === 1) {
+          typed[0].forEach(optionIssue => issues.push(optionIssue))
+        } else {
+          issue('must match exactly one schema, found none')
+        }
+      }
+    }
+    if (schema.type !== undefined) {
+      const types = [].concat(schema.type)
+      if (!types.some(expected => expected === type || (expected === 'number' && type === 'integer'))) {
+        issue('must be of type ' + types.join(' or ') + ', found ' + type)
+        return
+      }
+    }
+    if (schema.enum !== undefined && !schema.enum.some(allowed => allowed === value)) {
+      issue('must be one of ' + schema.enum.map(allowed => JSON.stringify(allowed)).join(', '))
+    }
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+      issue('must be greater than or equal to ' + schema.minimum)
+    }
+    if (schema.maximum !== undefined && typeof value === 'number' && value > schema.maximum) {
+      issue('must be less than or equal to ' + schema.maximum)
+    }
+    if (type === 'object') {
+      const properties = schema.properties || {}
+      const required = schema.required || []
+      required.filter(key => !value.hasOwnProperty(key)).forEach(key => {
+        issues.push(Object.freeze({ "path": path + '.' + key, "message": path + '.' + key + ' is required' }))
+      })
+      Object.keys(value).forEach(key => {
+        if (properties.hasOwnProperty(key)) {
+          schemaIssues(properties[key], value[key], path + '.' + key, issues, root)
+        } else if (schema.additionalProperties === false) {
+          issues.push(Object.freeze({ "path": path + '.' + key, "message": path + '.' + key + ' is not allowed' }))
+        } else if (schema.additionalProperties != null && typeof schema.additionalProperties === 'object') {
+          schemaIssues(schema.additionalProperties, value[key], path + '.' + key, issues, root)
+        }
+      })
+    }
+    if (type === 'array' && schema.items !== undefined) {
+      value.forEach((item, index) => schemaIssues(schema.items, item, path + '[' + index + ']', issues, root))
+    }
+  }
+
+  /**
+   * Checks the data with the schema or validator of a state, see <tt>FSMBuilder.when</tt>.
+   *
+   * @param {Object|function} validator - The schema, or the validator function
+   * @param {*} data - The data
+   * @return {Array} The issues <tt>{path, message}</tt>, empty if the data is valid
+   */
+  function dataIssues(validator, data) {
+    const issues = []
+    if (typeof validator === 'function') {
+      const result = validator(data)
+      if (result !== true) {
+        issues.push(Object.freeze({ "path": 'data', "message": typeof result === 'string' ? result : 'data is invalid' }))
+      }
+    } else {
+      schemaIssues(validator, data, 'data', issues)
+    }
+    return issues
+  }
+
+  /**
+   * Base class of errors raised by a FSM.
+   * Each error carries the state in which the event was fired, the event name and its arguments
+   * (<tt>undefined</tt> when the error is not related to an event).
+   */
+  class FSMError extends Error {
+    /**
+     * @param {string} message - The error message
+     * @param {string} state - The state in which the event was fired
+     * @param {string} event - The event name
+     * @param {Array} args - The event arguments
+     */
+    constructor(message, state, event, args) {
+      super(message)
+      // Restores the prototype chain lost when built-in classes are extended in ES5 code.
+      Object.setPrototypeOf(this, FSMError.prototype)
+      this.name = 'FSMError'
+      this.message = message
+      this.state = state
+      this.event = event
+      this.args = args
+    }
+  }
+
+  /**
+   * Raised when an event is fired without name, or when it is handled neither by the current state nor by a fallback handler.
+   */
+  class UnknownEventError extends FSMError {
+    constructor(message, state, event, args) {
+      super(message, state, event, args)
+      Object.setPrototypeOf(this, UnknownEventError.prototype)
+      this.name = 'UnknownEventError'
+    }
+  }
+
+  /**
+   * Raised when handlers exist for the event in the current state, but none of their guards matches.
+   */
+  class NoMatchingGuardError extends UnknownEventError {
+    constructor(message, state, event, args) {
+      super(message, state, event, args)
+      Object.setPrototypeOf(this, NoMatchingGuardError.prototype)
+      this.name = 'NoMatchingGuardError'
+    }
+  }
+
+  /**
+   * Raised when an event handler does not return the next state and data.
+   */
+  class InvalidHandlerResultError extends FSMError {
+    constructor(message, state, event, args) {
+      super(message, state, event, args)
+      Object.setPrototypeOf(this, InvalidHandlerResultError.prototype)
+      this.name = 'InvalidHandlerResultError'
+    }
+  }
+
+  /**
+   * Raised when the data of a state does not match its schema or validator (option <tt>data</tt> of <tt>FSMBuilder.when</tt>).
+   * The state whose data is invalid is given in <tt>target</tt>, the first failing path (as <tt>'data.color'</tt>) in <tt>path</tt>,
+   * and all issues <tt>{path, message}</tt> in <tt>issues</tt>.
+   */
+  class InvalidDataError extends FSMError {
+    constructor(message, state, event, args, target, issues) {
+      super(message, state, event, args)
+      Object.setPrototypeOf(this, InvalidDataError.prototype)
+      this.name = 'InvalidDataError'
+      this.target = target
+      this.path = issues[0].path
+      this.issues = issues
+    }
+  }
+
+  /**
+   * Raised when an event handler returns a state which was not declared with <tt>FSMBuilder.when</tt>.
+   */
+  class UnknownStateError extends FSMError {
+    constructor(message, state, event, args) {
+      super(message, state, event, args)
+      Object.setPrototypeOf(this, UnknownStateError.prototype)
+      this.name = 'UnknownStateError'
+    }
+  }
+
+  /**
+   * Raised when an event is fired or sent while the event queue is full, which reveals an event storm.
+   * See <tt>FSMBuilder.withMaxQueueDepth</tt>.
+   */
+  class QueueOverflowError extends FSMError {
+    constructor(message, state, event, args) {
+      super(message, state, event, args)
+      Object.setPrototypeOf(this, QueueOverflowError.prototype)
+      this.name = 'QueueOverflowError'
+    }
+  }
+
+  /**
+   * Raised when an event is stashed while the stash is full.
+   * See <tt>FSM.stash</tt> and <tt>FSMBuilder.withMaxStashSize</tt>.
+   */
+  class StashOverflowError extends FSMError {
+    constructor(message, state, event, args) {
+      super(message, state, event, args)
+      Object.setPrototypeOf(this, StashOverflowError.prototype)
+      this.name = 'StashOverflowError'
+    }
+  }
+
+  /**
+   * Raised when an event is fired or sent to a stopped FSM, see <tt>FSM.stop</tt>.
+   */
+  class FSMStoppedError extends FSMError {
+    constructor(message, state, event, args) {
+      super(message, state, event, args)
+      Object.setPrototypeOf(this, FSMStoppedError.prototype)
+      this.name = 'FSMStoppedError'
+    }
+  }
+
+  /**
+   * Raised when a pending asynchronous transition is cancelled, see <tt>FSM.fire</tt>.
+   */
+  class TransitionCancelledError extends FSMError {
+    constructor(message, state, event, args) {
+      super(message, state, event, args)
+      Object.setPrototypeOf(this, TransitionCancelledError.prototype)
+      this.name = 'TransitionCancelledError'
+    }
+  }
+
+  /**
+   * Raised when a middleware vetoes an event, see <tt>FSMBuilder.use</tt>.
+   */
+  class EventVetoedError extends FSMError {
+    constructor(message, state, event, args) {
+      super(message, state, event, args)
+      Object.setPrototypeOf(this, EventVetoedError.prototype)
+      this.name = 'EventVetoedError'
+    }
+  }
+
+  /**
+   * Raised when a FSM is built in strict mode from an invalid definition.
+   * It carries the <tt>errors</tt> and <tt>warnings</tt> of the validation report, see <tt>FSM.validate</tt>.
+   */
+  class InvalidDefinitionError extends FSMError {
+    constructor(message, errors, warnings) {
+      super(message, undefined, undefined, [])
+      Object.setPrototypeOf(this, InvalidDefinitionError.prototype)
+      this.name = 'InvalidDefinitionError'
+      this.errors = errors
+      this.warnings = warnings
+    }
+  }
+
+  /**
+   * Raised when a SCXML document cannot be read, or uses features which are not supported, see <tt>fromSCXML</tt>,
+   * or when a FSM cannot be written in SCXML, see <tt>FSM.toSCXML</tt>.
+   * It carries the issues in <tt>errors</tt>, with the same form as the ones of <tt>FSM.validate</tt>.
+   */
+  class SCXMLError extends FSMError {
+    constructor(message, errors) {
+      super(message, undefined, undefined, [])
+      Object.setPrototypeOf(this, SCXMLError.prototype)
+      this.name = 'SCXMLError'
+      this.errors = errors
+    }
+  }
+
+  /**
+   * Raised when a snapshot cannot be restored.
+   * It carries the invalid <tt>snapshot</tt>.
+   */
+  class InvalidSnapshotError extends FSMError {
+    constructor(message, snapshot) {
+      super(message, undefined, undefined, [])
+      Object.setPrototypeOf(this, InvalidSnapshotError.prototype)
+      this.name = 'InvalidSnapshotError'
+      this.snapshot = snapshot
+    }
+  }
+
+  /**
+   * The format identifier of snapshots, see <tt>FSM.snapshot</tt>.
+   */
+  const SNAPSHOT_FORMAT = 'fms-js/snapshot@1'
+
+  /**
+   * The default data serializer of snapshots, which copies data with JSON.
+   */
+  const JSON_SERIALIZER = Object.freeze({
+    serialize: function(data) {
+      return data === undefined ? null : JSON.parse(JSON.stringify(data))
+    },
+    deserialize: function(json) {
+      return json === undefined ? null : JSON.parse(JSON.stringify(json))
+    }
+  })
+
+  /**
+   * The default maximum number of queued events, see <tt>FSMBuilder.withMaxQueueDepth</tt>.
+   */
+  const DEFAULT_MAX_QUEUE_DEPTH = 1000
+
+  /**
+   * The default maximum number of stashed events, see <tt>FSMBuilder.withMaxStashSize</tt>.
+   */
+  const DEFAULT_MAX_STASH_SIZE = 100
+
+  /**
+   * The default maximum number of history entries, see <tt>FSMBuilder.withHistory</tt>.
+   */
+  const DEFAULT_HISTORY_LIMIT = 100
+
+  /**
+   * The JSON schema of FSM configurations, see <tt>fromConfig</tt>.
+   */
+  const CONFIG_SCHEMA = deepFreeze({
+    "$schema": "http://json-schema.org/draft-07/schema#",
+    "title": "fms-js configuration",
+    "type": "object",
+    "required": ["initial", "states"],
+    "additionalProperties": false,
+    "properties": {
+      "initial": { "type": ["string", "object", "null"], "additionalProperties": { "type": "string" } },
+      "data": {},
+      "version": { "type": ["number", "string"] },
+      "states": { "$ref": "#/definitions/states" }
+    },
+    "definitions": {
+      "states": {
+        "type": "object",
+        "additionalProperties": { "$ref": "#/definitions/state" }
+      },
+      "state": {
+        "type": "object",
+        "additionalProperties": false,
+        "properties": {
+          "timeout": { "type": "number", "minimum": 0 },
+          "pending": { "type": "string" },
+          "initial": { "type": "string" },
+          "final": { "type": "boolean" },
+          "region": { "type": "boolean" },
+          "data": { "type": "object" },
+          "onEnter": { "$ref": "#/definitions/names" },
+          "onExit": { "$ref": "#/definitions/names" },
+          "on": {
+            "type": "object",
+            "additionalProperties": {
+              "oneOf": [
+                { "type": "string" },
+                { "$ref": "#/definitions/transition" },
+                { "type": "array", "items": { "$ref": "#/definitions/transition" } }
+              ]
+            }
           },
-          "onStateChanged listeners": this._onStateChangedListeners.length,
-          "states": states
+          "states": { "$ref": "#/definitions/states" }
         }
-        if (stringify == null || stringify) {
-          return JSON.stringify(result, null, ' ')
-        } else {
-          return Object.freeze(result)
-        }
-      }
-    }
-
-    /**
-     * This class is the built class of a state of the FSM.
-     * @final
-     */
-    class State {
-      /**
-       * Constructs the state with value for all attributes.
-       *
-       * @protected
-       * @param {string} name - The state name
-       * @param {FSM} fsm - The parent FSM
-       * @param {Object} handlers - The handler map
-       */
-      constructor(name, fsm, handlers) {
-        this._name = name
-        this._fsm = fsm
-        this._handlers = handlers
-      }
-
-      /**
-       * Fires an event.
-       *
-       * @protected
-       * @param {Array} args - <tt>arguments</tt> from <tt>FSM.fire</tt> function.
-       * @param {*} currentData - The current data of FSM.
-       * @return The new FSM state returned from the state handler.
-       */
-      fire(args, currentData) {
-        if (args == null || args.length < 1) {
-          throw 'The function fire must be called at least with the event name'
-        }
-        const eventName = args[0]
-        const innerArgs = [currentData].concat(args.slice(1))
-        if (eventName in this._handlers) {
-          return this._handlers[eventName].apply(this._fsm, innerArgs)
-        } else {
-          throw 'The event "' + eventName + '" does not exist in state "' + this._name + '"'
-        }
-      }
-
-      /**
-       * Returns a clean version of this FSM structure.
-       *
-       * @protected
-       */
-      describe() {
-        const handlers = []
-        for (let handler in this._handlers) {
-          if (this._handlers.hasOwnProperty(handler)) {
-            handlers.push(handler)
-          }
+      },
+      "transition": {
+        "type": "object",
+        "required": ["target"],
+        "additionalProperties": false,
+        "properties": {
+          "target": { "type": "string" },
+          "guard": { "type": "string" },
+          "actions": { "$ref": "#/definitions/names" }
         }
+      },
+      "names": { "type": "array", "items": { "type": "string" } }
+    }
+  })
+
+  /**
+   * The types of notifications observers can listen to, see <tt>FSM.on</tt>.
+   */
+  const NOTIFICATION_TYPES = ['transition', 'enter', 'exit', 'unhandled', 'error']
+
+  /**
+   * The default clock, based on global <tt>setTimeout</tt> and <tt>clearTimeout</tt>.
+   */
+  const DEFAULT_CLOCK = Object.freeze({
+    setTimeout: function(callback, delay) {
+      return setTimeout(callback, delay)
+    },
+    clearTimeout: function(id) {
+      clearTimeout(id)
+    }
+  })
+
+  /**
+   * The result of a handler built with <tt>FSM.goto</tt>, <tt>FSM.stay</tt> or <tt>FSM.stop</tt>, as in Akka FSM:
+   * <tt>return this.goto('consumer').using(data)</tt>.
+   * It can be returned instead of the array of the next state and data.
+   */
+  class Transition {
+    /**
+     * Constructs the result, with the current data by default.
+     *
+     * This method is not available outside the module.
+     *
+     * @protected
+     * @param {string|Object} state - The next state
+     * @param {*} data - The next data
+     * @param {boolean} stop - <tt>true</tt> if the FSM stops after the transition
+     * @param {*} reason - The reason of the stop
+     */
+    constructor(state, data, stop, reason) {
+      this._state = state
+      this._data = data
+      this._stop = stop
+      this._reason = reason
+      this._replied = false
+      this._reply = undefined
+    }
+
+    /**
+     * Sets the next data.
+     *
+     * @public
+     * @param {*} data - The next data
+     * @return this result (chained calls)
+     */
+    using(data) {
+      this._data = data
+      return this
+    }
+
+    /**
+     * Sets the value returned by <tt>FSM.fire</tt> (or its <tt>Promise</tt>) for the handled event, instead of the FSM.
+     *
+     * @public
+     * @param {*} value - The reply
+     * @return this result (chained calls)
+     */
+    replying(value) {
+      this._replied = true
+      this._reply = value
+      return this
+    }
+  }
+
+  /**
+   * Converts the <tt>Transition</tt> returned by a handler into the array of the next state and data,
+   * followed by the <tt>Transition</tt>, so that middlewares always receive an array (see <tt>FSMBuilder.use</tt>).
+   *
+   * @param {*} result - The result of the handler
+   * @return {*} The array <tt>[state, data, transition]</tt> for a <tt>Transition</tt>, else the given result
+   */
+  function transitionArray(result) {
+    return result instanceof Transition ? [result._state, result._data, result] : result
+  }
+
+  /**
+   * This class is the built class of the FSM.
+   * It provides a fire method to execute a defined event if the current state accepts it.
+   * @final
+   */
+  class FSM {
+    /**
+     * Constructs the FSM with default values.
+     * <tt>states</tt> is not initialized here, because they are built once by the definition
+     * and shared by all its instances (see <tt>Definition.start</tt>).
+     *
+     * This method is not available outside the module.
+     *
+     * @protected
+     * @param {string|Object} initialState - The initial state of the FSM, see <tt>FSMBuilder.startWith</tt>
+     * @param {*} initialData - The initial data of the FSM
+     * @param {Array} onStateChangedListeners - Listeners of state changes
+     * @param {?function} unhandledHandler - Handler of events handled by no state, see <tt>FSMBuilder.whenUnhandled</tt>
+     * @param {Object} clock - The clock scheduling timeouts and timers, see <tt>FSMBuilder.withClock</tt>
+     * @param {?function} errorHandler - Handler of errors raised by <tt>fire</tt>, see <tt>FSMBuilder.onError</tt>
+     */
+    constructor(initialState, initialData, onStateChangedListeners, unhandledHandler, clock, errorHandler) {
+      this._currentState = initialState
+      this._currentData = initialData
+      this._onStateChangedListeners = onStateChangedListeners
+      this._unhandledHandler = unhandledHandler
+      this._clock = clock
+      this._errorHandler = errorHandler
+      this._initialState = initialState
+      this._states = null // set after in builder.
+      this._validation = null // set after in builder.
+      this._version = null // set after in builder.
+      this._serializer = null // set after in builder.
+      this._migration = null // set after in builder.
+      this._toExecute = []
+      this._toExecuteOut = []
+      this._stateTimeouts = []
+      this._timers = {}
+      this._queue = []
+      this._steps = 0
+      this._stash = []
+      this._handledEntry = null
+      this._notifiedError = null
+      this._stopped = false
+      this._stopReason = undefined
+      this._onTerminationListeners = null // set after in builder.
+      this._executionsOut = []
+      this._done = null
+      this._resolveDone = null
+      this._actor = null // set after in actor system.
+      this._processing = false
+      this._drainScheduled = false
+      this._handling = false
+      this._controller = null
+      this._pendingTransition = null
+      this._maxQueueDepth = null // set after in builder.
+      this._maxStashSize = null // set after in builder.
+      this._regions = null // set after in builder.
+      this._historyLimit = null // set after in builder.
+      this._history = []
+      this._middlewares = null // set after in builder.
+      this._context = null // set after in builder.
+      this._definition = null // set after in builder.
+      this._observers = {}
+      NOTIFICATION_TYPES.forEach(type => this._observers[type] = [])
+    }
+
+    /**
+     * Fires the event with given arguments.
+     * This method accepts at least one argument, the event name.
+     * All other arguments will be arguments for the handler of the event in the given state.
+     *
+     * Events are processed with run-to-completion semantics:
+     * when this method is called during the processing of another event (from a handler, an action or an <tt>execute</tt> function),
+     * the event is queued and processed after the current transition and its actions, in FIFO order.
+     * Otherwise, the event and all events queued meanwhile are processed before this method returns.
+     *
+     * Handlers can be asynchronous and return a <tt>Promise</tt> of the next state and data.
+     * While such a transition is pending, incoming events are queued (unless the state declares a pending state,
+     * see <tt>FSMBuilder.when</tt>). In this case, or if the event is queued behind a pending transition,
+     * this method returns a <tt>Promise</tt> resolved with this FSM once the event is processed, or rejected with its error.
+     *
+     * If the event cannot be handled, if the handler throws or does not return a declared state and data,
+     * the error is given to the error handler (see <tt>FSMBuilder.onError</tt>) or thrown if there is none.
+     * In this case, the FSM stays in its current state, unless the error handler decides otherwise,
+     * and events remaining in the queue (fired during the processing of the event) are dropped.
+     *
+     * @public
+     * @param arguments The first one (mandatory) is the event name, other arguments of handler.
+     * @return this FSM (chained calls), or a <tt>Promise</tt> of this FSM if the event is processed asynchronously.
+     * If the handler replies (see <tt>Transition.replying</tt>), the reply replaces the FSM.
+     * @throws {UnknownEventError} If the event name is missing or the event is not handled in the current state
+     * @throws {InvalidHandlerResultError} If the handler does not return the next state and data
+     * @throws {UnknownStateError} If the handler returns a state which does not exist
+     * @throws {QueueOverflowError} If the event queue is full
+     * @throws {FSMStoppedError} If the FSM is stopped
+     */
+    fire( /* dynamic arguments */ ) {
+      const entry = this._dispatch(Array.prototype.slice.call(arguments))
+      if (entry.done || this._processing) {
+        return entry.replied ? entry.reply : this
+      }
+      if (entry.promise == null) {
+        entry.promise = new Promise((resolve, reject) => {
+          entry.resolve = resolve
+          entry.reject = reject
+        })
+      }
+      return entry.promise
+    }
+
+    /**
+     * Sends the event with given arguments.
+     * Unlike <tt>fire</tt>, the event is always queued and this method returns immediately:
+     * the queue is processed as soon as the FSM is idle, with a <tt>setTimeout</tt> of the FSM clock if needed.
+     * Sent and fired events share the same queue, so they are processed in FIFO order.
+     * To send the event to another FSM, see <tt>sendTo</tt>.
+     *
+     * Errors raised by sent events are thrown by the <tt>fire</tt> being processed, if any,
+     * else they are reported to <tt>'error'</tt> observers (see <tt>on</tt>), unless the FSM is a supervised actor (see <tt>ActorSystem.spawn</tt>).
+     *
+     * @public
+     * @param arguments The first one (mandatory) is the event name, other arguments of handler.
+     * @return this FSM (chained calls)
+     * @throws {QueueOverflowError} If the event queue is full
+     * @throws {FSMStoppedError} If the FSM is stopped
+     */
+    send( /* dynamic arguments */ ) {
+      this._post(Array.prototype.slice.call(arguments))
+      return this
+    }
+
+    /**
+     * Sends the event with given arguments to another FSM, as to the mailbox of an actor, see <tt>send</tt>.
+     *
+     * @public
+     * @param {FSM|string} target - The FSM, or in an actor system (see <tt>k.fsm.system</tt>), the name of an actor
+     * @param arguments Other arguments are the event name and its arguments
+     * @return this FSM (chained calls)
+     * @throws {RangeError} If the target is neither a FSM nor the name of an actor of the same system
+     * @throws {QueueOverflowError} If the event queue of the target is full
+     * @throws {FSMStoppedError} If the target is stopped
+     */
+    sendTo(target /*, dynamic arguments */ ) {
+      this._recipient(target)._post(Array.prototype.slice.call(arguments, 1))
+      return this
+    }
+
+    /**
+     * Returns the FSM targeted by <tt>sendTo</tt>.
+     *
+     * @protected
+     * @param {FSM|string} target - The first argument of <tt>sendTo</tt>
+     * @return {FSM} The given FSM, or the actor of the same actor system with the given name
+     * @throws {RangeError} If the target is neither a FSM nor the name of an actor of the same system
+     */
+    _recipient(target) {
+      if (target instanceof FSM) {
+        return target
+      }
+      const actor = this._actor != null && typeof target === 'string' ? this._actor.system.actor(target) : null
+      if (actor == null) {
+        throw new RangeError('The target "' + target + '" is neither a FSM nor an actor' + (this._actor != null ? ' of the system' : ''))
+      }
+      return actor
+    }
+
+    /**
+     * Queues the event and processes the queue as soon as the FSM is idle, see <tt>send</tt>.
+     *
+     * @protected
+     * @param {Array} args - The event name and arguments
+     */
+    _post(args) {
+      this._enqueue(args)
+      if (!this._processing && !this._drainScheduled && !this._isBlocked()) {
+        this._drainScheduled = true
+        this._clock.setTimeout(() => {
+          this._drainScheduled = false
+          if (!this._processing) {
+            this._drain(true)
+          }
+        }, 0)
+      }
+    }
+
+    /**
+     * Adds an observer of transitions, see <tt>on</tt>.
+     *
+     * @public
+     * @param {function} observer - The observer, called with the notification of each transition
+     * @return {function} A function removing the observer
+     */
+    subscribe(observer) {
+      return this.on('transition', observer)
+    }
 
-        return {
-          "name": this._name,
-          "handlers": handlers
+    /**
+     * Adds an observer of the given type of notifications.
+     * Unlike <tt>onStateChanged</tt> listeners, observers can be added and removed at any time.
+     * Each observer is called with a frozen notification <tt>{event, args, from, to, prevData, data}</tt>:
+     * <ul>
+     *   <li><tt>transition</tt>: after each transition and its entry actions, even when the state and data do not change;</li>
+     *   <li><tt>exit</tt>: after the exit actions of each exited state, whose name is given in <tt>state</tt>;</li>
+     *   <li><tt>enter</tt>: after the entry actions of each entered state, whose name is given in <tt>state</tt>;</li>
+     *   <li><tt>unhandled</tt>: when no state handles the event, before the unhandled handler (<tt>to</tt> and <tt>data</tt> are the current ones);</li>
+     *   <li><tt>error</tt>: when the handler of the event fails, before the error handler, with the error in <tt>error</tt>
+     *   (<tt>to</tt> and <tt>data</tt> are the current ones), and when an error cannot be thrown to a caller:
+     *   the error of an event dispatched by the FSM clock (state timeout, timer, sent event) or of an <tt>executeOut</tt> function.</li>
+     * </ul>
+     *
+     * @public
+     * @param {string} type - The type of notifications
+     * @param {function} observer - The observer
+     * @return {function} A function removing the observer
+     * @throws {RangeError} If the type is unknown
+     */
+    on(type, observer) {
+      const observers = this._observers[type]
+      if (!Array.isArray(observers)) {
+        throw new RangeError('The notification type "' + type + '" does not exist, expected one of: ' + NOTIFICATION_TYPES.join(', '))
+      }
+      observers.push(observer)
+      return function() {
+        const index = observers.indexOf(observer)
+        if (index >= 0) {
+          observers.splice(index, 1)
         }
       }
     }
 
     /**
-     * Builder of a FSM.
-     * It provides methods to build the FSM and initialize it.
+     * Calls observers of the given type with the notification.
+     * Observers added or removed meanwhile are taken into account for the next notification.
+     *
+     * @protected
+     * @param {string} type - The type of notifications
+     * @param {Object} notification - The notification
+     */
+    _notify(type, notification) {
+      const observers = this._observers[type].slice()
+      for (let i = 0, c = observers.length; i < c; i++) {
+        observers[i](notification)
+      }
+    }
+
+    /**
+     * The context given to <tt>Definition.start</tt>, specific to this instance, or <tt>null</tt> if none.
+     *
+     * @public
+     * @type {*}
+     */
+    get context() {
+      return this._context
+    }
+
+    /**
+     * The abort signal of the event being handled, aborted when its asynchronous transition is cancelled:
+     * when the FSM leaves the pending state before the end of the transition.
+     * It must be read at the beginning of the handler, before any <tt>await</tt>.
+     * It is <tt>null</tt> outside handlers, or if <tt>AbortController</tt> is not supported.
+     *
+     * @public
+     * @type {?AbortSignal}
+     */
+    get signal() {
+      if (this._controller == null && this._handling && typeof AbortController !== 'undefined') {
+        this._controller = new AbortController()
+      }
+      return this._controller != null ? this._controller.signal : null
+    }
+
+    /**
+     * Queues the event and processes the queue if the FSM is idle.
+     * Used by <tt>fire</tt>, see <tt>_deliver</tt> for events dispatched by the FSM clock.
      *
-     * @final
+     * @protected
+     * @param {Array} args - <tt>arguments</tt> from <tt>fire</tt> function
+     * @return {Object} The queue entry of the event
      */
-    class FSMBuilder {
-      /**
-       * Creates the builder and initializes attributes.
-       *
-       * @protected
-       */
-      constructor() {
-        this._initialState = null
-        this._initialData = null
-        this._states = {}
-        this._onStateChangedListeners = []
+    _dispatch(args) {
+      const entry = this._enqueue(args)
+      if (!this._processing && !this._isBlocked()) {
+        this._drain(false)
       }
+      return entry
+    }
 
-      /**
-       * Sets the initial state of the FSM.
-       * This method can be called several times.
-       * The last call will be used for built FSM.
-       * This function can be called any time, the state does not need to exist to be used.
-       *
-       * @public
-       * @param {string} initialState - The initial state name
-       * @param {*} initialData - The initial state data
-       * @return this FSM builder (chained calls)
-       */
-      startWith(initialState, initialData) {
-        this._initialState = initialState
-        this._initialData = initialData
-        return this
+    /**
+     * Queues the event dispatched by the FSM clock (state timeout or timer) and processes the queue if the FSM is idle.
+     * As there is no caller to throw to, errors are reported (see <tt>_report</tt>).
+     *
+     * @protected
+     * @param {Array} args - The event name and arguments
+     */
+    _deliver(args) {
+      try {
+        this._enqueue(args)
+      } catch (error) {
+        this._report(error, args)
+        return
       }
+      if (!this._processing && !this._isBlocked()) {
+        this._drain(true)
+      }
+    }
 
-      /**
-       * Initializes a new State for this FSM.
-       *
-       * @public
-       * @param {string} stateName - The state name
-       * @param {function} stateInitializer - The initializer function for the created state
-       * @return this FSM builder (chained calls)
-       */
-      when(stateName, stateInitializer) {
-        const state = new StateBuilder(stateName, this);
-        stateInitializer(state);
-        this._states[stateName] = state;
-        return this
+    /**
+     * Reports an error which cannot be thrown to a caller: the error of an event processed asynchronously
+     * (dispatched by the FSM clock, sent, or queued behind a pending transition) or of an <tt>executeOut</tt> function.
+     * <tt>'error'</tt> observers (see <tt>on</tt>) are notified, unless they already were by the error handling of the event.
+     *
+     * @protected
+     * @param {*} error - The error
+     * @param {Array} args - The event name and arguments, or <tt>[null]</tt> without event
+     */
+    _report(error, args) {
+      if (error !== this._notifiedError) {
+        this._notify('error', notification(args, this._currentState, this._currentState, this._currentData, this._currentData, { "error": error }))
       }
+      this._notifiedError = null
+    }
 
-      /**
-       * Adds an observer to listen of state changes.
-       * Listeners will be triggered only when the state name change.
-       * Two parameters will be provided to the listener, the old state name and the new state name. No data will be passed.
-       *
-       * @public
-       * @param {function} listener - The state change listener
-       * @return this FSM builder (chained calls)
-       */
-      onStateChanged(listener) {
-        this._onStateChangedListeners.push(listener);
-        return this
+    /**
+     * Adds the event to the queue.
+     *
+     * @protected
+     * @param {Array} args - <tt>arguments</tt> from <tt>fire</tt> or <tt>send</tt> function
+     * @return {Object} The queue entry <tt>{args, external, stashed, replied, reply, done, promise, resolve, reject}</tt>,
+     * where <tt>external</tt> is <tt>true</tt> if the event is not fired during the processing of another event,
+     * <tt>stashed</tt> is <tt>true</tt> once its handler stashed it, and <tt>reply</tt> is the reply of its handler, if <tt>replied</tt>
+     * @throws {QueueOverflowError} If the event queue is full, or if more events than the maximum queue depth
+     * are fired while the queue is processed, which reveals an event storm (as a handler firing its own event)
+     * @throws {FSMStoppedError} If the FSM is stopped
+     */
+    _enqueue(args) {
+      if (this._stopped) {
+        throw new FSMStoppedError(
+          'The FSM is stopped, event "' + args[0] + '" rejected on state "' + this._currentState + '"',
+          this._currentState, args[0], args.slice(1))
+      }
+      if (this._queue.length >= this._maxQueueDepth) {
+        throw new QueueOverflowError(
+          'The event queue is full (' + this._maxQueueDepth + ' events), event "' + args[0] + '" rejected on state "' + this._currentState + '"',
+          this._currentState, args[0], args.slice(1))
       }
+      if (this._processing && ++this._steps > this._maxQueueDepth) {
+        throw new QueueOverflowError(
+          'More than ' + this._maxQueueDepth + ' events were fired while processing the queue, event "' + args[0] + '" rejected on state "' + this._currentState + '"',
+          this._currentState, args[0], args.slice(1))
+      }
+      const entry = { args: args, external: !this._processing, stashed: false, replied: false, reply: undefined, done: false, promise: null, resolve: null, reject: null }
+      this._queue.push(entry)
+      return entry
+    }
 
-      /**
-       * Builds the FSM.
-       * It will return a sealed <tt>FSM</tt> to avoid any further changes.
-       *
-       * @protected
-       * @return The built FSM
-       */
-      _build() {
-        const fsm = new FSM(this._initialState, this._initialData, this._onStateChangedListeners)
-        const states = {}
-        for (let state in this._states) {
-          if (this._states.hasOwnProperty(state)) {
-            states[state] = this._states[state]._build(fsm)
+    /**
+     * Checks if the queue is blocked by a pending asynchronous transition.
+     *
+     * @protected
+     */
+    _isBlocked() {
+      return this._pendingTransition != null && this._pendingTransition.pendingState == null
+    }
+
+    /**
+     * Processes queued events until the queue is empty or blocked by a pending transition.
+     *
+     * When the queue is processed synchronously, the error of an event is thrown and remaining events are dropped
+     * (the <tt>Promise</tt> returned by <tt>fire</tt> for them, if any, is rejected with the same error).
+     * When it is processed asynchronously (after a pending transition, or from the FSM clock), the error rejects the <tt>Promise</tt>
+     * returned by <tt>fire</tt>, or is reported (see <tt>_report</tt>), and the queue is still processed.
+     *
+     * @protected
+     * @param {boolean} async - <tt>true</tt> if the queue is processed after a pending transition or from the FSM clock
+     */
+    _drain(async) {
+      this._processing = true
+      this._steps = 0
+      try {
+        while (this._queue.length > 0 && !this._isBlocked()) {
+          const entry = this._queue.shift()
+          try {
+            this._process(entry)
+          } catch (error) {
+            this._fail(entry, error, async)
           }
         }
-        fsm._states = states
+      } finally {
+        this._processing = false
+      }
+    }
 
-        // Adds custom functions set in initializer into returned FSM
-        for (let attr in this) {
-          if (this.hasOwnProperty(attr) && attr.charAt(0) != '_') {
-            fsm[attr] = this[attr]
-          }
+    /**
+     * Processes one event: calls its handler, then makes the transition,
+     * or waits for the end of the handler if it is asynchronous.
+     *
+     * @protected
+     * @param {Object} entry - The queue entry of the event
+     * @throws {UnknownStateError} If the current state does not exist, when the FSM was started in an undeclared state
+     */
+    _process(entry) {
+      const oldState = this._currentState
+      const oldData = this._currentData
+      if (!this._exists(oldState)) {
+        throw new UnknownStateError(
+          'The current state "' + oldState + '" does not exist, event "' + entry.args[0] + '" cannot be handled',
+          oldState, entry.args[0], entry.args.slice(1))
+      }
+      if (this._activeStates().some(state => state._defers(entry.args[0]))) {
+        this._checkStash(entry.args)
+        this._stash.push(entry.args)
+        this._record(entry.args, oldState, oldData, entry.external)
+        this._succeed(entry)
+        return
+      }
+
+      let result
+      this._handling = true
+      this._handledEntry = entry
+      this._controller = null
+      try {
+        result = this._handle(entry, oldState, oldData)
+        if (!isThenable(result)) {
+          result = this._checkResult(result, entry.args)
         }
+      } catch (error) {
+        entry.stashed = false
+        this._discardExecutions()
+        result = this._recover(error, entry.args, oldState, oldData)
+      } finally {
+        this._handling = false
+        this._handledEntry = null
+      }
 
-        return Object.seal(fsm)
+      if (isThenable(result)) {
+        this._await(entry, result, oldState, oldData)
+      } else {
+        if (entry.stashed) {
+          this._stash.push(entry.args)
+        }
+        this._transition(entry.args, oldState, oldData, result, entry.external)
+        this._succeed(entry, result)
       }
     }
 
     /**
-     * FSM State builder
-     * It will provide methods to build a state of a FSM.
+     * Returns the result of a handler going to the given state, with the current data unless replaced with <tt>using</tt>:
+     * <tt>return this.goto('consumer').using(data)</tt>.
+     * It is the same as <tt>return ['consumer', data]</tt>, which is still supported.
+     *
+     * @public
+     * @param {string} stateName - The next state
+     * @return {Transition} The result of the handler
+     */
+    goto(stateName) {
+      return new Transition(stateName, this._currentData, false, undefined)
+    }
+
+    /**
+     * Returns the result of a handler staying in the current state, with the current data unless replaced with <tt>using</tt>:
+     * <tt>return this.stay()</tt>.
+     * With parallel regions, the region of the handler stays in its current state.
+     *
+     * @public
+     * @return {Transition} The result of the handler
+     */
+    stay() {
+      return new Transition(this._currentState, this._currentData, false, undefined)
+    }
+
+    /**
+     * Stops the FSM.
+     * Its timeouts, timers, pending transition, <tt>executeOut</tt> functions, queued and stashed events are cancelled,
+     * further events are rejected with a <tt>FSMStoppedError</tt>,
+     * then termination listeners are called (see <tt>FSMBuilder.onTermination</tt>) and <tt>done</tt> is resolved.
      *
-     * @final
+     * In a handler (before any <tt>await</tt> for an asynchronous one), it returns the result of the handler instead: <tt>return this.stop('done')</tt>.
+     * The FSM then stays in the current state (with the current data unless replaced with <tt>using</tt>) and stops after the transition.
+     * Nothing happens if the FSM is already stopped.
+     *
+     * @public
+     * @param {*} [reason] - The reason of the stop
+     * @return {Transition|FSM} The result of the handler in a handler, otherwise this FSM (chained calls)
      */
-    class StateBuilder {
-      constructor(name) {
-        this._name = name
-        this._handlers = {}
+    stop(reason) {
+      if (this._handling) {
+        return new Transition(this._currentState, this._currentData, true, reason)
       }
-
-      /**
-       * Set the handler for the given event on this state.
-       *
-       * @param {string} eventName - The event name
-       * @param {function} callback - The called function, parameters from <tt>FSM.fire</tt> wiil be passed through this callback.
-       * @return this FSM state builder (chained calls)
-       */
-      on(eventName, callback) {
-        this._handlers[eventName] = callback
-        return this
+      this._terminate(reason)
+      return this
+    }
+
+    /**
+     * Checks if the FSM is stopped, see <tt>stop</tt>.
+     *
+     * @public
+     * @type {boolean}
+     */
+    get stopped() {
+      return this._stopped
+    }
+
+    /**
+     * A <tt>Promise</tt> resolved when the FSM stops (see <tt>stop</tt>), with the frozen object <tt>{reason, state, data}</tt>
+     * giving the reason of the stop and the last state and data.
+     *
+     * @public
+     * @type {Promise}
+     */
+    get done() {
+      if (this._done == null) {
+        this._done = new Promise(resolve => this._resolveDone = resolve)
+        if (this._stopped) {
+          this._resolveDone(this._termination())
+        }
       }
+      return this._done
+    }
 
-      /**
-       * Build the FSM state.
-       * It will return a sealed <tt>FSMState</tt> to avoid any further changes.
-       *
-       * @protected
-       * @return The built FSM state
-       */
-      _build(fsm) {
-        return Object.seal(new State(this._name, fsm, this._handlers))
+    /**
+     * Returns the frozen description of the stop of the FSM, given to <tt>done</tt>.
+     *
+     * @protected
+     */
+    _termination() {
+      return Object.freeze({ "reason": this._stopReason, "state": this._currentState, "data": this._currentData })
+    }
+
+    /**
+     * Stops the FSM, see <tt>stop</tt>.
+     * The <tt>Promise</tt> returned by <tt>fire</tt> for queued events, if any, is rejected with a <tt>FSMStoppedError</tt>.
+     * Nothing happens if the FSM is already stopped.
+     *
+     * @protected
+     * @param {*} reason - The reason of the stop
+     */
+    _terminate(reason) {
+      if (this._stopped) {
+        return
       }
+      this._stopped = true
+      this._stopReason = reason
+      if (this._actor != null) {
+        this._actor.system._remove(this, reason)
+      }
+      this._cancelSchedules()
+      this._stash = []
+      this._queue.splice(0).forEach(entry => {
+        entry.done = true
+        this._cancel(entry, new FSMStoppedError(
+          'The FSM was stopped before event "' + entry.args[0] + '" on state "' + this._currentState + '"',
+          this._currentState, entry.args[0], entry.args.slice(1)))
+      })
+      for (let i = 0, c = this._onTerminationListeners.length; i < c; i++) {
+        this._onTerminationListeners[i].call(this, reason, this._currentState, this._currentData)
+      }
+      if (this._resolveDone != null) {
+        this._resolveDone(this._termination())
+      }
+    }
+
+    /**
+     * Cancels the pending transition, state timeouts, timers, <tt>execute</tt> and <tt>executeOut</tt> functions.
+     *
+     * @protected
+     */
+    _cancelSchedules() {
+      this._cancelPendingTransition()
+      this._stateTimeouts.forEach(timeout => this._clock.clearTimeout(timeout))
+      this._stateTimeouts = []
+      Object.keys(this._timers).forEach(name => this.cancelTimer(name))
+      this._executionsOut.forEach(id => this._clock.clearTimeout(id))
+      this._executionsOut = []
+      this._toExecute = []
+      this._toExecuteOut = []
     }
 
     /**
-     * Creates a new FSM and initializes it.
+     * The name of the FSM in its actor system, <tt>null</tt> if it is not an actor (see <tt>k.fsm.system</tt>).
      *
      * @public
-     * @param {function} initializer - The FSM initializer, the only given parameter is the <tt>FSMBuilder</tt>
-     * @return {FSM} The built <tt>FSM</tt>, it will be sealed to avoid further changes.
+     * @type {?string}
      */
-    function create(initializer) {
-      const builder = new FSMBuilder()
-      initializer(builder)
-      return builder._build()
+    get name() {
+      return this._actor != null ? this._actor.name : null
+    }
+
+    /**
+     * The actor which spawned this one, <tt>null</tt> if it is not an actor or if it was spawned by the actor system.
+     *
+     * @public
+     * @type {?FSM}
+     */
+    get parent() {
+      return this._actor != null ? this._actor.parent : null
+    }
+
+    /**
+     * The actors spawned by this one and not stopped, in spawn order.
+     *
+     * @public
+     * @type {Array}
+     */
+    get children() {
+      return this._actor != null ? this._actor.children.slice() : []
+    }
+
+    /**
+     * Spawns a child actor in the actor system of this FSM, see <tt>ActorSystem.spawn</tt>.
+     * The child is stopped when this FSM stops or restarts, and its supervision can escalate its errors to this FSM.
+     *
+     * @public
+     * @param {string} name - The name of the child, unique in the actor system
+     * @param {Definition|function} definition - The definition of the child, or its initializer
+     * @param {Object} [options] - The options of the child, see <tt>ActorSystem.spawn</tt>
+     * @return {FSM} The started child
+     * @throws {FSMError} If this FSM is not an actor
+     */
+    spawn(name, definition, options) {
+      if (this._actor == null) {
+        throw new FSMError('The FSM is not an actor, see k.fsm.system', this._currentState, undefined, [])
+      }
+      return this._actor.system._spawn(name, definition, options, this)
+    }
+
+    /**
+     * Applies the supervision of this actor to the error: restarts it, stops it or escalates the error to its parent.
+     *
+     * @protected
+     * @param {*} error - The error raised by the actor
+     * @return {boolean} <tt>true</tt> if the error is handled, <tt>false</tt> if it is escalated out of the actor system
+     * @throws {RangeError} If the supervision function returns an unknown directive
+     */
+    _supervise(error) {
+      const supervision = this._actor.supervision
+      const directive = typeof supervision === 'function' ? supervision(error, this) : supervision
+      if (directive === 'restart') {
+        this._restart(error)
+        return true
+      } else if (directive === 'stop') {
+        this._terminate(error)
+        return true
+      } else if (directive === 'escalate') {
+        return this._actor.parent != null && this._actor.parent._supervise(error)
+      }
+      throw new RangeError('Unknown supervision directive "' + directive + '" for actor "' + this._actor.name + '"')
+    }
+
+    /**
+     * Restarts the actor: stops its children, cancels its schedules, then enters again the state and data it was spawned with.
+     * Queued events are kept, stashed events are queued again.
+     *
+     * @protected
+     * @param {*} reason - The reason of the restart, given to children when they are stopped
+     */
+    _restart(reason) {
+      this._actor.children.slice().forEach(child => child._terminate(reason))
+      this._cancelSchedules()
+      this._unstash()
+      this._currentState = this._actor.state
+      this._currentData = this._actor.data
+      const processing = this._processing
+      this._processing = true
+      try {
+        this._enter(false)
+      } finally {
+        this._processing = processing
+      }
+      if (!processing) {
+        this._drain(false)
+      }
+    }
+
+    /**
+     * Stashes the event being handled: it will be fired again after the next state change,
+     * before events queued meanwhile, and in the order it was stashed (as a postponed event of Erlang <tt>gen_statem</tt>).
+     * The handler still returns the next state and data: this method returns the current ones, to stay in the current state
+     * with <tt>return this.stash()</tt>.
+     * Events are also stashed without calling their handlers when they are deferred by the current state (see <tt>StateBuilder.defer</tt>).
+     *
+     * This method must be called from a handler (before any <tt>await</tt> for an asynchronous one),
+     * and the event is stashed only if the transition succeeds.
+     *
+     * @public
+     * @return {Array} The current state and data
+     * @throws {FSMError} If it is not called from a handler
+     * @throws {StashOverflowError} If the stash is full, see <tt>FSMBuilder.withMaxStashSize</tt>
+     */
+    stash() {
+      if (!this._handling || this._handledEntry == null) {
+        throw new FSMError('The function stash must be called from a handler', this._currentState, undefined, [])
+      }
+      this._checkStash(this._handledEntry.args)
+      this._handledEntry.stashed = true
+      return [this._currentState, this._currentData]
+    }
+
+    /**
+     * Checks that the event can be stashed.
+     *
+     * @protected
+     * @param {Array} args - <tt>arguments</tt> from <tt>fire</tt> function
+     * @throws {StashOverflowError} If the stash is full
+     */
+    _checkStash(args) {
+      if (this._stash.length >= this._maxStashSize) {
+        throw new StashOverflowError(
+          'The stash is full (' + this._maxStashSize + ' events), event "' + args[0] + '" cannot be stashed on state "' + this._currentState + '"',
+          this._currentState, args[0], args.slice(1))
+      }
+    }
+
+    /**
+     * Moves stashed events at the beginning of the queue, in the order they were stashed.
+     *
+     * @protected
+     */
+    _unstash() {
+      if (this._stash.length > 0) {
+        const entries = this._stash.map(args => ({ args: args, external: false, stashed: false, replied: false, reply: undefined, done: false, promise: null, resolve: null, reject: null }))
+        this._stash = []
+        Array.prototype.unshift.apply(this._queue, entries)
+      }
+    }
+
+    /**
+     * Calls the handler of the event through middlewares (see <tt>FSMBuilder.use</tt>), in declaration order.
+     * The event and arguments rewritten by middlewares replace those of the queue entry.
+     * A <tt>Transition</tt> returned by the handler is given to middlewares as <tt>[state, data, transition]</tt>.
+     *
+     * @protected
+     * @param {Object} entry - The queue entry of the event
+     * @param {string|Object} state - The current state
+     * @param {*} data - The current data
+     * @return {Array|Promise} The next state and data, or a <tt>Promise</tt> of them
+     */
+    _handle(entry, state, data) {
+      const ctx = {
+        event: entry.args[0],
+        args: entry.args.slice(1),
+        state: state,
+        data: data,
+        veto: reason => {
+          throw new EventVetoedError(
+            'The event "' + ctx.event + '" was vetoed in state "' + state + '"' + (reason != null ? ': ' + reason : ''),
+            state, ctx.event, ctx.args)
+        }
+      }
+      const call = index => {
+        if (index < this._middlewares.length) {
+          return this._middlewares[index].call(this, ctx, () => call(index + 1))
+        }
+        entry.args = [ctx.event].concat(ctx.args)
+        const result = this._regions == null ? this._states[state].fire(this, entry.args, data) : this._fireRegions(entry.args, data)
+        return isThenable(result) ? result.then(transitionArray) : transitionArray(result)
+      }
+      return call(0)
+    }
+
+    /**
+     * Gives the error of a handler to the error handler, which returns the next state and data, or throws.
+     *
+     * @protected
+     * @param {*} error - The error
+     * @param {Array} args - <tt>arguments</tt> from <tt>fire</tt> function
+     * @param {string} state - The state in which the event was fired
+     * @param {*} data - The current data
+     * @return {Array} The next state and data
+     */
+    _recover(error, args, state, data) {
+      this._notifiedError = error
+      this._notify('error', notification(args, state, state, data, data, { "error": error }))
+      if (this._errorHandler == null) {
+        throw error
+      }
+      const result = this._errorHandler.call(this, error, data, eventDescriptor(args[0], args.slice(1), state))
+      if (result == null) {
+        throw error
+      }
+      return this._checkResult(result, args)
+    }
+
+    /**
+     * Waits for the asynchronous result of a handler.
+     * Without pending state, the queue is blocked until the end of the transition.
+     * With a pending state, the FSM goes into it and keeps on processing events.
+     *
+     * @protected
+     * @param {Object} entry - The queue entry of the event
+     * @param {Promise} promise - The result of the handler
+     * @param {string} oldState - The state in which the event was fired
+     * @param {*} oldData - The data when the event was fired
+     */
+    _await(entry, promise, oldState, oldData) {
+      this._cancelPendingTransition()
+      const pending = {
+        entry: entry,
+        controller: this._controller,
+        pendingState: this._states[oldState]._inherited('_pendingState')
+      }
+      this._controller = null
+      this._pendingTransition = pending
+      if (pending.pendingState != null) {
+        this._transition(entry.args, oldState, oldData, [pending.pendingState, oldData], false)
+      }
+      promise.then(result => {
+        this._settle(pending, false, result)
+      }, error => {
+        this._settle(pending, true, error)
+      })
+    }
+
+    /**
+     * Ends a pending transition, then processes the queue.
+     *
+     * @protected
+     * @param {Object} pending - The pending transition
+     * @param {boolean} failed - <tt>true</tt> if the handler failed
+     * @param {*} value - The result of the handler, or its error
+     */
+    _settle(pending, failed, value) {
+      if (this._pendingTransition !== pending) {
+        return // cancelled
+      }
+      this._pendingTransition = null
+      const args = pending.entry.args
+      const oldState = this._currentState
+      const oldData = this._currentData
+      this._processing = true
+      try {
+        let result
+        try {
+          if (failed) {
+            throw value
+          }
+          result = this._checkResult(value, args)
+        } catch (error) {
+          pending.entry.stashed = false
+          this._discardExecutions()
+          result = this._recover(error, args, oldState, oldData)
+        }
+        if (pending.entry.stashed) {
+          this._stash.push(args)
+        }
+        this._transition(args, oldState, oldData, result, pending.entry.external)
+        this._succeed(pending.entry, result)
+      } catch (error) {
+        this._fail(pending.entry, error, true)
+      } finally {
+        this._processing = false
+      }
+      this._drain(true)
+    }
+
+    /**
+     * Cancels the pending transition, if any: its abort signal is aborted and its result will be ignored.
+     * The <tt>Promise</tt> returned by <tt>fire</tt> for the event, if any, is rejected with a <tt>TransitionCancelledError</tt>.
+     *
+     * @protected
+     */
+    _cancelPendingTransition() {
+      const pending = this._pendingTransition
+      if (pending != null) {
+        this._pendingTransition = null
+        if (pending.controller != null) {
+          pending.controller.abort()
+        }
+        pending.entry.done = true
+        const args = pending.entry.args
+        this._cancel(pending.entry, new TransitionCancelledError(
+          'The transition of event "' + args[0] + '" was cancelled in state "' + this._currentState + '"',
+          this._currentState, args[0], args.slice(1)))
+      }
+    }
+
+    /**
+     * Rejects the <tt>Promise</tt> returned by <tt>fire</tt> for a cancelled event, if any.
+     * The rejection is marked as handled: a caller which does not wait for the <tt>Promise</tt>
+     * does not get an unhandled rejection, as it would if the FSM were stopped before the event.
+     *
+     * @protected
+     * @param {Object} entry - The queue entry of the event
+     * @param {FSMError} error - The cause of the cancellation
+     */
+    _cancel(entry, error) {
+      if (entry.reject != null) {
+        entry.promise.catch(() => {})
+        entry.reject(error)
+      }
+    }
+
+    /**
+     * Marks the event as processed, with the reply of its handler if any.
+     *
+     * @protected
+     * @param {Object} entry - The queue entry of the event
+     * @param {Array} [result] - The next state and data, and the <tt>Transition</tt> returned by the handler if any
+     */
+    _succeed(entry, result) {
+      entry.done = true
+      if (result != null && result[2] != null && result[2]._replied) {
+        entry.replied = true
+        entry.reply = result[2]._reply
+      }
+      if (entry.resolve != null) {
+        entry.resolve(entry.replied ? entry.reply : this)
+      }
+    }
+
+    /**
+     * Marks the event as failed: rejects the <tt>Promise</tt> returned by <tt>fire</tt> if any,
+     * else throws the error, or reports it (see <tt>_report</tt>) if processed asynchronously.
+     * When it is thrown, remaining events of the queue are dropped, see <tt>_drain</tt>.
+     * The error of an actor is first given to its supervision (see <tt>ActorSystem.spawn</tt>),
+     * and it is neither thrown nor reported if the supervision handles it.
+     *
+     * @protected
+     */
+    _fail(entry, error, async) {
+      entry.done = true
+      const supervised = this._actor != null && this._supervise(error)
+      if (entry.reject != null) {
+        entry.reject(error)
+      } else if (supervised) {
+        return
+      } else if (async) {
+        this._report(error, entry.args)
+      } else {
+        this._queue.splice(0).forEach(remaining => {
+          remaining.done = true
+          if (remaining.reject != null) {
+            remaining.reject(error)
+          }
+        })
+        throw error
+      }
+    }
+
+    /**
+     * Makes the transition to the next state and data, then runs actions and <tt>execute</tt> functions.
+     * A composite next state is replaced by its initial leaf state.
+     * As in UML statecharts, states are exited from the current state up to the common ancestor of both states,
+     * then entered from this ancestor down to the next state.
+     * With parallel regions, this is done in each region whose state changes,
+     * and the event <tt>'Done'</tt> is queued if all regions are then in final states.
+     * Without regions, the FSM stops after entering a final state (see <tt>stop</tt>).
+     * When the state changes, stashed events are queued again (see <tt>stash</tt>).
+     *
+     * @protected
+     * @param {Array} args - <tt>arguments</tt> from <tt>fire</tt> function
+     * @param {string|Object} oldState - The state before the transition
+     * @param {*} oldData - The data before the transition
+     * @param {Array} result - The next state and data, and the <tt>Transition</tt> returned by the handler if any
+     * @param {boolean} external - <tt>true</tt> if the event is recorded as external in the history, see <tt>history</tt>
+     */
+    _transition(args, oldState, oldData, result, external) {
+      const newState = this._nextState(result[0], oldState)
+      const oldLeaves = this._leafNames(oldState)
+      const newLeaves = this._leafNames(newState)
+      const exited = []
+      const entered = []
+      for (let i = 0, c = oldLeaves.length; i < c; i++) {
+        if (oldLeaves[i] != newLeaves[i]) {
+          const from = this._states[oldLeaves[i]]._path()
+          const to = this._states[newLeaves[i]]._path()
+          while (from.length > 0 && from[0] === to[0]) {
+            from.shift()
+            to.shift()
+          }
+          Array.prototype.push.apply(exited, from.reverse())
+          Array.prototype.push.apply(entered, to)
+        }
+      }
+      const changed = exited.length > 0 || entered.length > 0
+      for (let i = 0, c = exited.length; i < c; i++) {
+        exited[i].exit(this, oldData, result[1], args[0])
+        this._notify('exit', notification(args, oldState, newState, oldData, result[1], { "state": exited[i]._name }))
+      }
+      if (this._pendingTransition != null && exited.some(state => state._name == this._pendingTransition.pendingState)) {
+        this._cancelPendingTransition()
+      }
+
+      this._currentState = newState
+      this._currentData = result[1]
+      this._record(args, oldState, oldData, external)
+      this._resetStateTimeout()
+
+      if (changed) {
+        this._unstash()
+        for (let i = 0, c = entered.length; i < c; i++) {
+          entered[i].enter(this, oldData, this._currentData, args[0])
+          this._notify('enter', notification(args, oldState, newState, oldData, this._currentData, { "state": entered[i]._name }))
+        }
+        for (let i = 0, c = this._onStateChangedListeners.length; i < c; i++) {
+          this._onStateChangedListeners[i](oldState, this._currentState)
+        }
+      }
+      const final = changed && !this._stopped && this._activeStates().every(state => state._final)
+      if (final && this._regions != null) {
+        this._enqueue([DONE])
+      }
+      this._notify('transition', notification(args, oldState, newState, oldData, this._currentData))
+
+      this._runExecutions()
+      if (result[2] != null && result[2]._stop) {
+        this._terminate(result[2]._reason)
+      } else if (final && this._regions == null) {
+        this._terminate(undefined)
+      }
+    }
+
+    /**
+     * Fires an event in all parallel regions.
+     * The event is given to the handler of each region which handles it, in declaration order of regions,
+     * the data returned by a region being given to the next one.
+     * When no region handles it, it is given to wildcard handlers of regions, then to the unhandled handler of the FSM.
+     * The event <tt>'Done'</tt> is ignored when no region handles it.
+     *
+     * @protected
+     * @param {Array} args - <tt>arguments</tt> from <tt>fire</tt> function
+     * @param {*} currentData - The current data
+     * @return {Array} The next state (of all regions) and data
+     * @throws {UnknownEventError} If the event name is missing or no handler exists
+     * @throws {NoMatchingGuardError} If handlers exist for the event, but none of their guards matches
+     * @throws {InvalidHandlerResultError} If a handler is asynchronous, or returns a state of another region
+     */
+    _fireRegions(args, currentData) {
+      if (args == null || args.length < 1) {
+        throw new UnknownEventError('The function fire must be called at least with the event name', this._currentState, undefined, [])
+      }
+      const eventName = args[0]
+      const event = eventDescriptor(eventName, args.slice(1), this._currentState)
+      const states = this._activeStates()
+      const next = {}
+      let data = currentData
+      let handled = false
+      let transition = null
+      const apply = (state, callback, handlerArgs) => {
+        const region = this._regions[states.indexOf(state)]
+        const result = this._checkResult(this._synchronous(callback.apply(this, handlerArgs), args), args, true)
+        transition = result[2] != null ? result[2] : transition
+        if (result[0] === this._currentState) {
+          next[region] = this._currentState[region] // stay
+        } else if (typeof result[0] !== 'string' || result[0].split(SEPARATOR)[0] !== region) {
+          throw new InvalidHandlerResultError(
+            'The state "' + result[0] + '" returned by event "' + eventName + '" on state "' + state._name + '" is not in the region "' + region + '"',
+            this._currentState, eventName, args.slice(1))
+        } else {
+          next[region] = this._nextState(result[0], this._currentState)[region]
+        }
+        data = result[1]
+        handled = true
+      }
+
+      states.forEach(state => {
+        const handlerArgs = [data].concat(args.slice(1))
+        const handler = state._bubble(this, eventName, handlerArgs)
+        if (handler != null) {
+          apply(state, handler.callback, handlerArgs)
+        }
+      })
+      if (!handled && eventName !== DONE) {
+        states.forEach(state => {
+          const wildcard = state._bubble(this, WILDCARD, [data, event])
+          if (wildcard != null) {
+            apply(state, wildcard.callback, [data, event])
+          }
+        })
+      }
+      if (handled || eventName === DONE) {
+        return transition != null ? [regionsState(next), data, transition] : [regionsState(next), data]
+      }
+      this._notify('unhandled', notification(args, this._currentState, this._currentState, currentData, currentData))
+      if (this._unhandledHandler != null) {
+        return this._synchronous(this._unhandledHandler.call(this, currentData, event), args)
+      } else if (states.some(state => state._path().some(ancestor => ancestor._handlers.hasOwnProperty(eventName)))) {
+        throw new NoMatchingGuardError('No guard of the event "' + eventName + '" matches in state "' + this._currentState + '"', this._currentState, eventName, args.slice(1))
+      } else {
+        throw new UnknownEventError('The event "' + eventName + '" does not exist in state "' + this._currentState + '"', this._currentState, eventName, args.slice(1))
+      }
+    }
+
+    /**
+     * Checks that the result of a handler in parallel regions is not asynchronous.
+     *
+     * @protected
+     * @param {*} result - The result of the handler
+     * @param {Array} args - <tt>arguments</tt> from <tt>fire</tt> function
+     * @return {*} The given result
+     */
+    _synchronous(result, args) {
+      if (isThenable(result)) {
+        throw new InvalidHandlerResultError(
+          'Asynchronous handlers are not supported with parallel regions. Error for event "' + args[0] + '" on state "' + this._currentState + '"',
+          this._currentState, args[0], args.slice(1))
+      }
+      return result
+    }
+
+    /**
+     * Returns the state of the FSM after a transition to the given state.
+     * The given state is replaced by its initial leaf state.
+     * With parallel regions, the given state is the state of one region (full name), or an object giving
+     * the state of several regions (relative names), other regions keeping their state.
+     *
+     * @protected
+     * @param {string|Object} target - The target state
+     * @param {?Object} base - The state of regions which are not targeted, <tt>null</tt> for their initial state
+     * @return {string|Object} The next state
+     */
+    _nextState(target, base) {
+      if (this._regions == null) {
+        return this._states[target]._leaf()._name
+      }
+      const next = {}
+      this._regions.forEach(region => {
+        let state = base != null ? region + SEPARATOR + base[region] : region
+        if (typeof target === 'string' && target.split(SEPARATOR)[0] === region) {
+          state = target
+        } else if (target != null && typeof target === 'object' && target.hasOwnProperty(region) && this._states.hasOwnProperty(region + SEPARATOR + target[region])) {
+          state = region + SEPARATOR + target[region]
+        }
+        next[region] = this._states[state]._leaf()._name.substring(region.length + SEPARATOR.length)
+      })
+      return regionsState(next)
+    }
+
+    /**
+     * Checks if the given state can be a state of this FSM.
+     *
+     * @protected
+     * @param {string|Object} state - The state, see <tt>_nextState</tt>
+     * @return {boolean} <tt>true</tt> if the state exists
+     */
+    _exists(state) {
+      if (this._regions == null) {
+        return this._states.hasOwnProperty(state)
+      } else if (typeof state === 'string') {
+        return this._states.hasOwnProperty(state) && this._regions.indexOf(state.split(SEPARATOR)[0]) >= 0
+      }
+      return state != null && typeof state === 'object' &&
+        Object.keys(state).every(region => this._regions.indexOf(region) >= 0 && this._states.hasOwnProperty(region + SEPARATOR + state[region]))
+    }
+
+    /**
+     * Returns full names of leaf states of the given FSM state, one by region with parallel regions.
+     *
+     * @protected
+     */
+    _leafNames(state) {
+      return this._regions == null ? [state] : this._regions.map(region => region + SEPARATOR + state[region])
+    }
+
+    /**
+     * Returns current leaf states, one by region with parallel regions.
+     *
+     * @protected
+     */
+    _activeStates() {
+      return this._leafNames(this._currentState).filter(state => this._states.hasOwnProperty(state)).map(state => this._states[state])
+    }
+
+    /**
+     * The current state name.
+     * With parallel regions, it is a frozen object giving the state of each region, relative to the region
+     * (as <tt>{connection: 'online', mode: 'editing'}</tt>).
+     *
+     * @public
+     * @type {string|Object}
+     */
+    get state() {
+      return this._currentState
+    }
+
+    /**
+     * The current data.
+     *
+     * @public
+     * @type {*}
+     */
+    get data() {
+      return this._currentData
+    }
+
+    /**
+     * Checks if the FSM is in the given state.
+     * The FSM is in a composite state when it is in any of its substates.
+     * With parallel regions, the state name is the full name of a state of any region, as <tt>'connection.online'</tt>.
+     *
+     * @public
+     * @param {string} stateName - The state name
+     * @return {boolean} <tt>true</tt> if the current state is the given one or one of its substates
+     */
+    is(stateName) {
+      return this._leafNames(this._currentState).some(state => state === stateName || String(state).indexOf(stateName + SEPARATOR) === 0)
+    }
+
+    /**
+     * Checks if the event can be fired in the current state with the given arguments,
+     * that is if the current state or one of its parent states (in any region) has a handler for this event whose guard matches.
+     * Fallback handlers (wildcard and unhandled handlers) are not considered, as they accept any event.
+     * Only guards are called, so this method has no side effects as long as guards have none.
+     *
+     * @public
+     * @param {string} eventName - The event name
+     * @param arguments Other arguments are the event arguments, as for <tt>fire</tt>
+     * @return {boolean} <tt>true</tt> if the event would be handled by the current state
+     */
+    can(eventName /*, dynamic arguments */) {
+      if (eventName === WILDCARD) {
+        return false
+      }
+      const handlerArgs = [this._currentData].concat(Array.prototype.slice.call(arguments, 1))
+      return this._activeStates().some(state => state._bubble(this, eventName, handlerArgs) != null)
+    }
+
+    /**
+     * Returns names of events the current state can handle, in declaration order,
+     * followed by the ones only handled by its parent states (and then by other regions, with parallel regions).
+     * As event arguments are unknown, guards are not called: an event is listed if it has a handler,
+     * use <tt>can</tt> to know if one of its guards matches given arguments.
+     * As for <tt>can</tt>, the wildcard handler is not listed.
+     *
+     * @public
+     * @return {Array} The event names
+     */
+    availableEvents() {
+      const events = []
+      this._activeStates().forEach(leaf => {
+        for (let state = leaf; state != null; state = state._parent) {
+          for (let eventName in state._handlers) {
+            if (state._handlers.hasOwnProperty(eventName) && eventName !== WILDCARD && events.indexOf(eventName) < 0) {
+              events.push(eventName)
+            }
+          }
+        }
+      })
+      return events
+    }
+
+    /**
+     * Checks that the result of a handler is the next state and data, that the state exists,
+     * and that the data matches the schemas of the state (see <tt>_checkData</tt>).
+     *
+     * A <tt>Transition</tt> (see <tt>goto</tt>) is converted into the array of the next state and data, followed by the <tt>Transition</tt>.
+     *
+     * @protected
+     * @param {Array|Transition} result - The result of the handler
+     * @param {Array} args - <tt>arguments</tt> from <tt>fire</tt> function
+     * @param {boolean} [partial=false] - <tt>true</tt> for the result of a region,
+     * whose data is checked once all regions handled the event (see <tt>_fireRegions</tt>)
+     * @return {Array} The next state and data
+     */
+    _checkResult(result, args, partial) {
+      if (result instanceof Transition) {
+        result = [result._state, result._data, result]
+      }
+      if (result == null || result.length < 2) {
+        throw new InvalidHandlerResultError(
+          'All event handlers must return the next state and data. Error for event "' + args[0] + '" on state "' + this._currentState + '"',
+          this._currentState, args[0], args.slice(1))
+      }
+      if (!this._exists(result[0])) {
+        throw new UnknownStateError(
+          'The state "' + result[0] + '" returned by event "' + args[0] + '" on state "' + this._currentState + '" does not exist',
+          this._currentState, args[0], args.slice(1))
+      }
+      if (!partial) {
+        this._checkData(this._nextState(result[0], this._currentState), result[1], args)
+      }
+      return result
+    }
+
+    /**
+     * Checks the data with the schemas and validators of the given state, of its parent states
+     * (and of the state of each region, with parallel regions), from the top-level one.
+     *
+     * @protected
+     * @param {string|Object} state - The next state, a leaf state
+     * @param {*} data - The next data
+     * @param {?Array} args - <tt>arguments</tt> from <tt>fire</tt> function, <tt>null</tt> for the initial data
+     * @throws {InvalidDataError} If the data does not match the schema or the validator of a state
+     */
+    _checkData(state, data, args) {
+      this._leafNames(state).filter(leaf => this._states.hasOwnProperty(leaf)).forEach(leaf => {
+        this._states[leaf]._path().filter(target => target._dataValidator != null).forEach(target => {
+          const issues = dataIssues(target._dataValidator, data)
+          if (issues.length > 0) {
+            const details = issues.map(issue => issue.message).join(', ')
+            throw args != null ?
+              new InvalidDataError(
+                'The data returned by event "' + args[0] + '" on state "' + this._currentState + '" is invalid for state "' + target._name + '": ' + details,
+                this._currentState, args[0], args.slice(1), target._name, issues) :
+              new InvalidDataError(
+                'The initial data is invalid for state "' + target._name + '": ' + details,
+                this._currentState, undefined, [], target._name, issues)
+          }
+        })
+      })
+    }
+
+    /**
+     * Starts a named timer which fires the given event after the given delay.
+     * If a timer with the same name is active, it is cancelled and replaced.
+     * Unlike state timeouts, timers are not cancelled when the state changes.
+     *
+     * @public
+     * @param {string} name - The timer name
+     * @param {string|Array} event - The event name, or the array of <tt>fire</tt> arguments (event name first)
+     * @param {number} delay - The delay in milliseconds
+     * @param {boolean} [repeat=false] - If <tt>true</tt>, the event is fired every <tt>delay</tt> milliseconds until the timer is cancelled
+     * @return this FSM (chained calls)
+     * @throws {FSMStoppedError} If the FSM is stopped
+     */
+    setTimer(name, event, delay, repeat) {
+      this.cancelTimer(name)
+      const args = Array.isArray(event) ? event : [event]
+      if (this._stopped) {
+        throw new FSMStoppedError(
+          'The FSM is stopped, timer "' + name + '" rejected on state "' + this._currentState + '"',
+          this._currentState, args[0], args.slice(1))
+      }
+      const schedule = () => {
+        this._timers[name] = this._clock.setTimeout(() => {
+          if (repeat) {
+            schedule()
+          } else {
+            delete this._timers[name]
+          }
+          this._deliver(args)
+        }, delay)
+      }
+      schedule()
+      return this
+    }
+
+    /**
+     * Cancels the named timer.
+     * Nothing happens if the timer is not active.
+     *
+     * @public
+     * @param {string} name - The timer name
+     * @return this FSM (chained calls)
+     */
+    cancelTimer(name) {
+      if (this._timers.hasOwnProperty(name)) {
+        this._clock.clearTimeout(this._timers[name])
+        delete this._timers[name]
+      }
+      return this
+    }
+
+    /**
+     * Checks if the named timer is active.
+     *
+     * @public
+     * @param {string} name - The timer name
+     * @return {boolean} <tt>true</tt> if the timer is scheduled and not cancelled
+     */
+    isTimerActive(name) {
+      return this._timers.hasOwnProperty(name)
+    }
+
+    /**
+     * Cancels the timeout of the previous state, then schedules the one of the current state if any
+     * (the one of the current state of each region, with parallel regions).
+     * The timeout is then restarted each time an event is handled, so it expires only when nothing happens in the state.
+     *
+     * @protected
+     */
+    _resetStateTimeout() {
+      this._stateTimeouts.forEach(timeout => this._clock.clearTimeout(timeout))
+      this._stateTimeouts = []
+      this._activeStates().forEach(state => {
+        const delay = state._inherited('_timeout')
+        if (delay != null) {
+          const timeout = this._clock.setTimeout(() => {
+            this._stateTimeouts.splice(this._stateTimeouts.indexOf(timeout), 1)
+            this._deliver([STATE_TIMEOUT])
+          }, delay)
+          this._stateTimeouts.push(timeout)
+        }
+      })
+    }
+
+    /**
+     * Enters the initial state of the FSM, running entry actions of the state and its parent states, from the top-level one.
+     * A composite initial state is replaced by its initial leaf state.
+     * With parallel regions, the initial state of each region is entered, in declaration order of regions.
+     * There is no triggering event, so the event name given to entry actions is <tt>null</tt>.
+     *
+     * @protected
+     * @param {boolean} restored - If <tt>true</tt>, the FSM resumes from a snapshot and entry actions are not called
+     */
+    _start(restored) {
+      this._processing = true
+      try {
+        this._enter(restored)
+      } finally {
+        this._processing = false
+      }
+      this._drain(false)
+    }
+
+    /**
+     * Enters the current state, see <tt>_start</tt>.
+     *
+     * @protected
+     * @param {boolean} restored - If <tt>true</tt>, entry actions are not called
+     */
+    _enter(restored) {
+      if (this._regions != null || this._exists(this._currentState)) {
+        this._currentState = this._nextState(this._currentState, null)
+      }
+      if (!restored) {
+        this._checkData(this._currentState, this._currentData, null)
+      }
+      this._resetStateTimeout()
+      if (!restored) {
+        this._activeStates().forEach(leaf => leaf._path().forEach(state => state.enter(this, undefined, this._currentData, null)))
+      }
+      this._runExecutions()
+    }
+
+    /**
+     * Records the transition in the history, if enabled (see <tt>FSMBuilder.withHistory</tt>).
+     *
+     * @protected
+     * @param {Array} args - <tt>arguments</tt> from <tt>fire</tt> function
+     * @param {string|Object} oldState - The state before the transition
+     * @param {*} oldData - The data before the transition
+     * @param {boolean} external - <tt>true</tt> if the event comes from outside the FSM
+     */
+    _record(args, oldState, oldData, external) {
+      if (this._historyLimit == null) {
+        return
+      }
+      this._history.push(Object.freeze({
+        "event": args[0],
+        "args": args.slice(1),
+        "from": oldState,
+        "to": this._currentState,
+        "prevData": oldData,
+        "data": this._currentData,
+        "external": external
+      }))
+      if (this._history.length > this._historyLimit) {
+        this._history.shift()
+      }
+    }
+
+    /**
+     * Returns the recorded history of this FSM, the oldest entry first (see <tt>FSMBuilder.withHistory</tt>).
+     * Each handled event is recorded as a frozen entry <tt>{event, args, from, to, prevData, data, external}</tt>,
+     * where <tt>external</tt> is <tt>false</tt> if the event was fired during the processing of another event
+     * (from a handler, an action or an <tt>execute</tt> function), so that it is fired again by the FSM when replayed (see <tt>replay</tt>).
+     * Events which failed are not recorded.
+     *
+     * @public
+     * @return {Array} The frozen history, empty if the history is not enabled
+     */
+    history() {
+      return Object.freeze(this._history.slice())
+    }
+
+    /**
+     * Goes back to the state and data the FSM had before the given history entry, and forgets this entry and the next ones.
+     * Nothing is run: neither handlers, actions nor listeners.
+     * The state timeout is rescheduled and the pending transition, if any, is cancelled.
+     * This method must not be called from handlers.
+     *
+     * @public
+     * @param {number} index - The index of the history entry, from <tt>0</tt> (the FSM before the oldest entry) to the history length (the current FSM)
+     * @return this FSM (chained calls)
+     * @throws {RangeError} If the index is not an index of the history
+     */
+    goTo(index) {
+      if (this._stopped) {
+        throw new FSMStoppedError('The FSM is stopped, it cannot go back in its history', this._currentState, null, [])
+      }
+      if (!(index >= 0 && index <= this._history.length)) {
+        throw new RangeError('The history index ' + index + ' is not between 0 and ' + this._history.length)
+      }
+      if (index < this._history.length) {
+        const entry = this._history[index]
+        this._cancelPendingTransition()
+        this._currentState = entry.from
+        this._currentData = entry.prevData
+        this._history.splice(index)
+        this._resetStateTimeout()
+        if (!this._processing) {
+          this._drain(false)
+        }
+      }
+      return this
+    }
+
+    /**
+     * Goes back to the state and data the FSM had before the last history entry, see <tt>goTo</tt>.
+     * Nothing happens if the history is empty.
+     *
+     * @public
+     * @return this FSM (chained calls)
+     */
+    undo() {
+      return this._history.length > 0 ? this.goTo(this._history.length - 1) : this
+    }
+
+    /**
+     * Returns a snapshot of the current state and data of the FSM.
+     * The snapshot is a JSON-safe object <tt>{format, version, state, data}</tt> where <tt>version</tt> is the version
+     * of the FSM definition (see <tt>FSMBuilder.withVersion</tt>) and <tt>data</tt> the serialized current data
+     * (see <tt>FSMBuilder.serializeWith</tt>).
+     * Timers and pending functions are not part of the snapshot.
+     *
+     * @public
+     * @return {Object} The frozen snapshot
+     */
+    snapshot() {
+      return Object.freeze({
+        "format": SNAPSHOT_FORMAT,
+        "version": this._version,
+        "state": this._currentState,
+        "data": this._serializer.serialize(this._currentData)
+      })
+    }
+
+    /**
+     * Replaces the initial state and data of this FSM by the ones of the snapshot.
+     * If the snapshot was taken under another version of the definition, it is migrated first.
+     *
+     * @protected
+     * @param {Object} snapshot - The snapshot returned by <tt>snapshot</tt>
+     * @throws {InvalidSnapshotError} If the snapshot cannot be restored
+     */
+    _restore(snapshot) {
+      if (snapshot == null || typeof snapshot !== 'object' || snapshot.format !== SNAPSHOT_FORMAT) {
+        throw new InvalidSnapshotError('The snapshot is not a FSM snapshot', snapshot)
+      }
+      if (snapshot.version !== this._version) {
+        if (this._migration == null) {
+          throw new InvalidSnapshotError(
+            'The snapshot version ' + snapshot.version + ' does not match the FSM version ' + this._version + ' and no migration is defined', snapshot)
+        }
+        const from = snapshot.version
+        snapshot = this._migration.call(this, snapshot, from, this._version)
+        if (snapshot == null || !this._exists(snapshot.state)) {
+          throw new InvalidSnapshotError('The migration from version ' + from + ' did not return a valid snapshot', snapshot)
+        }
+      }
+      if (!this._exists(snapshot.state)) {
+        throw new InvalidSnapshotError('The snapshot state ' + JSON.stringify(snapshot.state) + ' does not exist', snapshot)
+      }
+      this._currentState = snapshot.state
+      this._currentData = this._serializer.deserialize(snapshot.data)
+    }
+
+    /**
+     * Discards functions registered with <tt>execute</tt> and <tt>executeOut</tt> by a failed handler,
+     * so that its side effects do not happen, whatever the error handler decides.
+     *
+     * @protected
+     */
+    _discardExecutions() {
+      this._toExecute = []
+      this._toExecuteOut = []
+    }
+
+    /**
+     * Runs functions registered with <tt>execute</tt> and schedules the ones registered with <tt>executeOut</tt>.
+     *
+     * @protected
+     */
+    _runExecutions() {
+      // We clear functions to execute from current FSM to avoid collision if fire is launched by one of them.
+      const toExecute = this._toExecute
+      const toExecuteOut = this._toExecuteOut
+
+      this._toExecute = []
+      this._toExecuteOut = []
+
+      for (let i = 0, c = toExecute.length; i < c; i++) {
+        toExecute[i]()
+      }
+
+      for (let i = 0, c = toExecuteOut.length; i < c; i++) {
+        const id = this._clock.setTimeout(() => {
+          this._executionsOut.splice(this._executionsOut.indexOf(id), 1)
+          try {
+            toExecuteOut[i]()
+          } catch (error) {
+            this._report(error, [null])
+          }
+        }, 0)
+        this._executionsOut.push(id)
+      }
+    }
+
+    /**
+     * Asks the FSM to postpone the execution of the given function after the end of the current event handler.
+     * This method should be executed inside a handler only.
+     *
+     * There will not be any other function called before the end of fire.
+     * It will execute the function inside the current execution stack,
+     * but events fired by the function are queued and processed after it (see <tt>fire</tt>).
+     *
+     * If this function is called several times, then all functions will be called in the same order.
+     * The function is not called if the handler fails, even if the error handler recovers (see <tt>FSMBuilder.onError</tt>).
+     *
+     * @protected
+     * @param The function to call
+     * @return this FSM (chained calls)
+     * @see {@link executeOut}
+     */
+    execute(callback) {
+      this._toExecute.push(callback)
+      return this
+    }
+
+    /**
+     * Asks the FSM to postpone the execution of the given function after the end of the current event handler.
+     * This method should be executed inside a handler only.
+     *
+     * It will execute the function outside the current execution stack with a <tt>setTimeout</tt> of the FSM clock,
+     * so there is no guarantee another function is called before the end of fire and the beginning of the given function.
+     * In this case, <tt>execute</tt> could help you. To only fire an event later, prefer <tt>send</tt>.
+     * The function is not called if the FSM is stopped before (see <tt>stop</tt>), or if the handler fails.
+     * Its errors are reported to <tt>'error'</tt> observers (see <tt>on</tt>), with a <tt>null</tt> event.
+     *
+     * If this function is called several times, then all functions will be called without guarantee of the order.
+     *
+     * @protected
+     * @param The function to call
+     * @return this FSM (chained calls)
+     *
+     * @see {@link execute}
+     */
+    executeOut(callback) {
+      this._toExecuteOut.push(callback)
+      return this
+    }
+
+    /**
+     * Returns a clean version of this FSM structure.
+     * Only top-level states are listed in <tt>states</tt>, substates are listed in the description of their parent state.
+     *
+     * @public
+     * @param {boolean} [stringify=true] - If <tt>true</tt>, returns a string version with <tt>JSON.stringify</tt> of the object descriptor, otherwise the plain object.
+     */
+    describe(stringify) {
+      const states = this._roots().map(state => state.describe())
+      const result = {
+        "Current state": {
+          "state": this._currentState,
+          "data": this._currentData
+        },
+        "onStateChanged listeners": this._onStateChangedListeners.length,
+        "termination listeners": this._onTerminationListeners.length,
+        "unhandled handler": this._unhandledHandler != null,
+        "error handler": this._errorHandler != null,
+        "version": this._version,
+        "stopped": this._stopped,
+        "actor": this._actor != null ? {
+          "name": this._actor.name,
+          "parent": this._actor.parent != null ? this._actor.parent.name : null,
+          "children": this._actor.children.map(child => child.name)
+        } : null,
+        "active timers": Object.keys(this._timers),
+        "queued events": this._queue.length,
+        "stashed events": this._stash.map(args => args[0]),
+        "pending transition": this._pendingTransition != null ? this._pendingTransition.entry.args[0] : null,
+        "regions": this._regions != null ? this._regions : [],
+        "history entries": this._historyLimit != null ? this._history.length : null,
+        "observers": NOTIFICATION_TYPES.reduce((count, type) => count + this._observers[type].length, 0),
+        "middlewares": this._middlewares.length,
+        "states": states
+      }
+      if (stringify == null || stringify) {
+        return JSON.stringify(result, null, ' ')
+      } else {
+        return Object.freeze(result)
+      }
+    }
+
+    /**
+     * Returns the validation report of the FSM definition, computed when the FSM was built.
+     *
+     * The report is a frozen object <tt>{valid, errors, warnings}</tt>, where <tt>valid</tt> is <tt>true</tt> if there is no error,
+     * and each issue is an object <tt>{code, state, event, message}</tt>.
+     *
+     * Errors:
+     * <ul>
+     *   <li><tt>missing-initial-state</tt>: <tt>startWith</tt> was never called;</li>
+     *   <li><tt>unknown-initial-state</tt>: the initial state (of a region) was not declared with <tt>when</tt>;</li>
+     *   <li><tt>duplicate-state</tt>: the state was declared several times with <tt>when</tt>, only the last one is kept;</li>
+     *   <li><tt>unknown-target</tt>: a handler declares a target (option <tt>to</tt>) which is not a state;</li>
+     *   <li><tt>unknown-pending-state</tt>: a state declares a pending state (option <tt>pending</tt>) which is not a state;</li>
+     *   <li><tt>unknown-parent-state</tt>: a substate is declared (as <tt>'parent.child'</tt>) but its parent state is not,
+     *   so it is handled as a top-level state;</li>
+     *   <li><tt>unknown-initial-substate</tt>: a state declares an initial substate (option <tt>initial</tt>) which is not one of its substates;</li>
+     *   <li><tt>state-outside-regions</tt>: a top-level state is not a region, while the FSM has parallel regions;</li>
+     *   <li><tt>cross-region-target</tt>: a handler declares a target in another region than its state.</li>
+     * </ul>
+     *
+     * Warnings, based on declared transition targets:
+     * <ul>
+     *   <li><tt>unreachable-state</tt>: the state cannot be reached from the initial state.
+     *   It is only checked when all handlers of reachable states declare their targets and there is no unhandled handler;</li>
+     *   <li><tt>dead-end-state</tt>: the FSM cannot leave the state, neither with its handlers nor with the ones of its parent states,
+     *   and the state is not final;</li>
+     *   <li><tt>shadowed-handler</tt>: a handler is declared after a handler without guard for the same event, so it is never called.</li>
+     * </ul>
+     *
+     * @public
+     * @return {Object} The validation report
+     */
+    validate() {
+      return this._validation
+    }
+
+    /**
+     * Returns the configuration of this FSM, when it was built from a configuration, see <tt>Definition.toConfig</tt>.
+     * The current state and data are not part of it.
+     *
+     * @public
+     * @return {Object} A copy of the configuration
+     * @throws {FSMError} If the FSM was not built from a configuration
+     */
+    toConfig() {
+      return this._definition.toConfig()
+    }
+
+    /**
+     * Returns the W3C SCXML document of this FSM, see <tt>Definition.toSCXML</tt>.
+     * The current state and data are not part of it.
+     *
+     * @public
+     * @return {string} The SCXML document
+     * @throws {SCXMLError} If the FSM uses features which cannot be written in SCXML, as timeouts
+     */
+    toSCXML() {
+      return this._definition.toSCXML()
+    }
+
+    /**
+     * Returns the Graphviz DOT representation of this FSM.
+     * It contains every state, every transition declared with the <tt>to</tt> option of <tt>StateBuilder.on</tt>,
+     * the initial state (pointed by a start point and drawn with a bold border) and the current state (filled).
+     * Composite states are drawn as clusters around their substates.
+     *
+     * @public
+     * @return {string} The DOT source of the FSM diagram
+     */
+    toDot() {
+      const quote = function(text) {
+        return '"' + String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"'
+      }
+      const cluster = function(state) {
+        return quote('cluster_' + state._name)
+      }
+      const roots = this._roots()
+      const initialStates = this._initialStates()
+      const currentStates = this._leafNames(this._currentState)
+      const lines = ['digraph {', '  rankdir = LR']
+      if (roots.some(state => state._children.length > 0)) {
+        lines.push('  compound = true')
+      }
+      lines.push('  __initial [shape = point, label = ""]')
+      const render = (state, indent) => {
+        if (state._children.length > 0) {
+          lines.push(indent + 'subgraph ' + cluster(state) + ' {')
+          lines.push(indent + '  label = ' + quote(state._label()))
+          if (initialStates.indexOf(state._name) >= 0) {
+            lines.push(indent + '  penwidth = 2')
+          }
+          state._children.forEach(child => render(child, indent + '  '))
+          lines.push(indent + '}')
+        } else {
+          const attributes = []
+          if (state._parent != null) {
+            attributes.push('label = ' + quote(state._label()))
+          }
+          if (initialStates.indexOf(state._name) >= 0) {
+            attributes.push('penwidth = 2')
+          }
+          if (currentStates.indexOf(state._name) >= 0) {
+            attributes.push('style = filled', 'fillcolor = lightblue')
+          }
+          lines.push(indent + quote(state._name) + (attributes.length > 0 ? ' [' + attributes.join(', ') + ']' : ''))
+        }
+      }
+      roots.forEach(state => render(state, '  '))
+      // Edges between composite states are drawn between leaf states and clipped by clusters.
+      const node = (name, attributes, clip) => {
+        const state = this._states[name]
+        if (state._children.length > 0) {
+          attributes.push(clip + ' = ' + cluster(state))
+        }
+        return quote(state._leaf()._name)
+      }
+      initialStates.forEach(initialState => {
+        const attributes = []
+        const target = node(initialState, attributes, 'lhead')
+        lines.push('  __initial -> ' + target + (attributes.length > 0 ? ' [' + attributes.join(', ') + ']' : ''))
+      })
+      const edges = this._edges()
+      for (let i = 0, c = edges.length; i < c; i++) {
+        const attributes = ['label = ' + quote(edges[i].label)]
+        const from = node(edges[i].from, attributes, 'ltail')
+        const to = node(edges[i].to, attributes, 'lhead')
+        lines.push('  ' + from + ' -> ' + to + ' [' + attributes.join(', ') + ']')
+      }
+      lines.push('}')
+      return lines.join('\n') + '\n'
+    }
+
+    /**
+     * Returns the Mermaid state diagram representation of this FSM.
+     * It contains every state, every transition declared with the <tt>to</tt> option of <tt>StateBuilder.on</tt>,
+     * the initial state (pointed by <tt>[*]</tt> and with class <tt>initial</tt>) and the current state (with class <tt>current</tt>).
+     * Composite states contain their substates, their initial substate and transitions between their substates.
+     *
+     * @public
+     * @return {string} The Mermaid source of the FSM diagram
+     */
+    toMermaid() {
+      const ids = {}
+      let index = 0
+      for (let state in this._states) {
+        if (this._states.hasOwnProperty(state)) {
+          ids[state] = 's' + index++
+        }
+      }
+      const edges = this._edges()
+      // Transitions are drawn in the deepest composite state containing both states.
+      const container = edge => {
+        const from = this._states[edge.from]._path().slice(0, -1)
+        const to = this._states[edge.to]._path().slice(0, -1)
+        let result = null
+        for (let i = 0; i < from.length && from[i] === to[i]; i++) {
+          result = from[i]
+        }
+        return result
+      }
+      const lines = ['stateDiagram-v2']
+      const render = (states, parent, initialStates, indent) => {
+        states.forEach(state => {
+          lines.push(indent + 'state "' + state._label().replace(/"/g, '#quot;') + '" as ' + ids[state._name])
+          if (state._children.length > 0) {
+            lines.push(indent + 'state ' + ids[state._name] + ' {')
+            render(state._children, state, [state._initialChild()._name], indent + '  ')
+            lines.push(indent + '}')
+          }
+        })
+        initialStates.forEach(initialState => {
+          lines.push(indent + '[*] --> ' + ids[initialState])
+        })
+        edges.filter(edge => container(edge) === parent).forEach(edge => {
+          lines.push(indent + ids[edge.from] + ' --> ' + ids[edge.to] + ' : ' + edge.label.replace(/:/g, '#colon;'))
+        })
+      }
+      render(this._roots(), null, this._initialStates(), '  ')
+      lines.push('  classDef initial font-weight:bold,stroke-width:3px')
+      lines.push('  classDef current fill:#add8e6')
+      this._initialStates().forEach(state => {
+        lines.push('  class ' + ids[state] + ' initial')
+      })
+      this._activeStates().forEach(state => {
+        lines.push('  class ' + ids[state._name] + ' current')
+      })
+      return lines.join('\n') + '\n'
+    }
+
+    /**
+     * Returns names of initial states, as given to <tt>FSMBuilder.startWith</tt>.
+     * With parallel regions, it is the initial state of each region, or the region itself when it starts in its initial substate.
+     *
+     * @protected
+     */
+    _initialStates() {
+      if (this._regions == null) {
+        return this._states.hasOwnProperty(this._initialState) ? [this._initialState] : []
+      }
+      const initialState = this._initialState || {}
+      return this._regions.map(region => initialState.hasOwnProperty(region) && this._states.hasOwnProperty(region + SEPARATOR + initialState[region]) ?
+        region + SEPARATOR + initialState[region] : region)
+    }
+
+    /**
+     * Returns top-level states of this FSM, in declaration order.
+     *
+     * @protected
+     */
+    _roots() {
+      const roots = []
+      for (let state in this._states) {
+        if (this._states.hasOwnProperty(state) && this._states[state]._parent == null) {
+          roots.push(this._states[state])
+        }
+      }
+      return roots
+    }
+
+    /**
+     * Returns declared transitions of this FSM as edges <tt>{from, to, label}</tt>, in declaration order.
+     * The label is the event name, followed by the guard label between brackets for guarded handlers.
+     * Targets which are not declared states are ignored.
+     *
+     * @protected
+     */
+    _edges() {
+      const edges = []
+      for (let state in this._states) {
+        if (this._states.hasOwnProperty(state)) {
+          const handlers = this._states[state]._handlers
+          for (let event in handlers) {
+            if (handlers.hasOwnProperty(event)) {
+              handlers[event].forEach(handler => {
+                const label = event + (handler.label != null ? ' [' + handler.label + ']' : '')
+                const targets = handler.to || []
+                for (let i = 0, c = targets.length; i < c; i++) {
+                  if (this._states.hasOwnProperty(targets[i])) {
+                    edges.push({ from: state, to: targets[i], label: label })
+                  }
+                }
+              })
+            }
+          }
+        }
+      }
+      return edges
+    }
+  }
+
+  /**
+   * This class is the built class of a state of the FSM.
+   * @final
+   */
+  class State {
+    /**
+     * Constructs the state with value for all attributes.
+     *
+     * @protected
+     * @param {string} name - The state name
+     * @param {Object} handlers - The handler map, each event name is associated to the array of its handlers <tt>{callback, guard, label, to}</tt>
+     * @param {Array} onEnterActions - Actions called when entering this state
+     * @param {Array} onExitActions - Actions called when leaving this state
+     * @param {Array} deferred - Names of events deferred in this state, see <tt>StateBuilder.defer</tt>
+     * @param {Object} options - The state options, see <tt>FSMBuilder.when</tt>
+     */
+    constructor(name, handlers, onEnterActions, onExitActions, deferred, options) {
+      this._name = name
+      this._handlers = handlers
+      this._onEnterActions = onEnterActions
+      this._onExitActions = onExitActions
+      this._deferred = deferred
+      this._timeout = options.timeout != null ? options.timeout : null
+      this._pendingState = options.pending != null ? options.pending : null
+      this._initial = options.initial != null ? name + SEPARATOR + options.initial : null
+      this._final = options.final === true
+      this._dataValidator = options.data != null ? options.data : null
+      this._parent = null // set after in builder.
+      this._children = [] // set after in builder.
+    }
+
+    /**
+     * Calls entry actions of this state, in declaration order.
+     *
+     * @protected
+     * @param {FSM} fsm - The FSM entering this state
+     * @param {*} oldData - The FSM data before the transition (<tt>undefined</tt> for the initial state)
+     * @param {*} newData - The FSM data after the transition
+     * @param {?string} eventName - The event which triggered the transition (<tt>null</tt> for the initial state)
+     */
+    enter(fsm, oldData, newData, eventName) {
+      for (let i = 0, c = this._onEnterActions.length; i < c; i++) {
+        this._onEnterActions[i].call(fsm, oldData, newData, eventName)
+      }
+    }
+
+    /**
+     * Calls exit actions of this state, in declaration order.
+     *
+     * @protected
+     * @param {FSM} fsm - The FSM leaving this state
+     * @param {*} oldData - The FSM data before the transition
+     * @param {*} newData - The FSM data after the transition
+     * @param {string} eventName - The event which triggered the transition
+     */
+    exit(fsm, oldData, newData, eventName) {
+      for (let i = 0, c = this._onExitActions.length; i < c; i++) {
+        this._onExitActions[i].call(fsm, oldData, newData, eventName)
+      }
+    }
+
+    /**
+     * Fires an event.
+     * The handler is resolved in the following order:
+     * the first handler of the event whose guard matches in this state, then in its parent states (the event bubbles up),
+     * the wildcard handler (<tt>'*'</tt>) of this state, then of its parent states,
+     * the unhandled handler of the FSM and finally an exception if none of them exists.
+     *
+     * @protected
+     * @param {FSM} fsm - The FSM in this state
+     * @param {Array} args - <tt>arguments</tt> from <tt>FSM.fire</tt> function.
+     * @param {*} currentData - The current data of FSM.
+     * @return The new FSM state returned from the state handler.
+     * @throws {UnknownEventError} If the event name is missing or no handler exists
+     * @throws {NoMatchingGuardError} If handlers exist for the event, but none of their guards matches
+     */
+    fire(fsm, args, currentData) {
+      if (args == null || args.length < 1) {
+        throw new UnknownEventError('The function fire must be called at least with the event name', this._name, undefined, [])
+      }
+      const eventName = args[0]
+      const innerArgs = [currentData].concat(args.slice(1))
+      const handler = this._bubble(fsm, eventName, innerArgs)
+      if (handler != null) {
+        return handler.callback.apply(fsm, innerArgs)
+      }
+
+      const event = eventDescriptor(eventName, args.slice(1), this._name)
+      const wildcard = this._bubble(fsm, WILDCARD, [currentData, event])
+      if (wildcard != null) {
+        return wildcard.callback.call(fsm, currentData, event)
+      }
+      fsm._notify('unhandled', notification(args, this._name, this._name, currentData, currentData))
+      if (fsm._unhandledHandler != null) {
+        return fsm._unhandledHandler.call(fsm, currentData, event)
+      } else if (this._path().some(state => state._handlers.hasOwnProperty(eventName))) {
+        throw new NoMatchingGuardError('No guard of the event "' + eventName + '" matches in state "' + this._name + '"', this._name, eventName, args.slice(1))
+      } else {
+        throw new UnknownEventError('The event "' + eventName + '" does not exist in state "' + this._name + '"', this._name, eventName, args.slice(1))
+      }
+    }
+
+    /**
+     * Returns the first handler of the event whose guard matches the given arguments, or <tt>null</tt> if none.
+     * Guards are called in declaration order, a handler without guard always matches.
+     *
+     * @protected
+     * @param {FSM} fsm - The FSM calling guards
+     * @param {string} eventName - The event name
+     * @param {Array} handlerArgs - The arguments given to guards (current data first)
+     * @return {?Object} The handler <tt>{callback, guard, label, to}</tt>
+     */
+    _handler(fsm, eventName, handlerArgs) {
+      if (!this._handlers.hasOwnProperty(eventName)) {
+        return null
+      }
+      const handlers = this._handlers[eventName]
+      for (let i = 0, c = handlers.length; i < c; i++) {
+        if (handlers[i].guard == null || handlers[i].guard.apply(fsm, handlerArgs)) {
+          return handlers[i]
+        }
+      }
+      return null
+    }
+
+    /**
+     * Returns the first handler of the event whose guard matches the given arguments in this state,
+     * else in its parent states, or <tt>null</tt> if none.
+     *
+     * @protected
+     * @param {FSM} fsm - The FSM calling guards
+     * @param {string} eventName - The event name
+     * @param {Array} handlerArgs - The arguments given to guards (current data first)
+     * @return {?Object} The handler <tt>{callback, guard, label, to}</tt>
+     */
+    _bubble(fsm, eventName, handlerArgs) {
+      for (let state = this; state != null; state = state._parent) {
+        const handler = state._handler(fsm, eventName, handlerArgs)
+        if (handler != null) {
+          return handler
+        }
+      }
+      return null
+    }
+
+    /**
+     * Checks if the event is deferred in this state or in one of its parent states.
+     *
+     * @protected
+     * @param {string} eventName - The event name
+     * @return {boolean} <tt>true</tt> if the event is deferred
+     */
+    _defers(eventName) {
+      return this._path().some(state => state._deferred.indexOf(eventName) >= 0)
+    }
+
+    /**
+     * Returns the value of the given attribute in this state, else in its closest parent state defining it.
+     *
+     * @protected
+     * @param {string} attribute - The attribute name, as <tt>'_timeout'</tt>
+     * @return {*} The attribute value, <tt>null</tt> if no state defines it
+     */
+    _inherited(attribute) {
+      for (let state = this; state != null; state = state._parent) {
+        if (state[attribute] != null) {
+          return state[attribute]
+        }
+      }
+      return null
+    }
+
+    /**
+     * Returns the states from the top-level one to this state.
+     *
+     * @protected
+     * @return {Array} This state and its parent states, the top-level state first
+     */
+    _path() {
+      const path = []
+      for (let state = this; state != null; state = state._parent) {
+        path.unshift(state)
+      }
+      return path
+    }
+
+    /**
+     * Returns the initial substate of this composite state:
+     * the one given with option <tt>initial</tt>, else the first declared one.
+     *
+     * @protected
+     * @return {State} The initial substate
+     */
+    _initialChild() {
+      return this._children.filter(child => child._name == this._initial)[0] || this._children[0]
+    }
+
+    /**
+     * Returns the leaf state entered when a transition targets this state,
+     * following initial substates from this state.
+     *
+     * @protected
+     * @return {State} This state if it has no substate, else its initial leaf state
+     */
+    _leaf() {
+      let state = this
+      while (state._children.length > 0) {
+        state = state._initialChild()
+      }
+      return state
+    }
+
+    /**
+     * Returns the name of this state relative to its parent state, as drawn in diagrams.
+     *
+     * @protected
+     */
+    _label() {
+      return this._parent != null ? this._name.substring(this._parent._name.length + SEPARATOR.length) : this._name
+    }
+
+    /**
+     * Returns a clean version of this FSM structure.
+     * Composite states also describe their initial substate and their substates.
+     *
+     * @protected
+     */
+    describe() {
+      const handlers = []
+      const transitions = {}
+      const guards = {}
+      for (let handler in this._handlers) {
+        if (this._handlers.hasOwnProperty(handler)) {
+          handlers.push(handler)
+          this._handlers[handler].forEach(entry => {
+            if (entry.to != null) {
+              transitions[handler] = (transitions[handler] || []).concat(entry.to.filter(target => (transitions[handler] || []).indexOf(target) < 0))
+            }
+            if (entry.label != null) {
+              guards[handler] = (guards[handler] || []).concat([entry.label])
+            }
+          })
+        }
+      }
+
+      const result = {
+        "name": this._name,
+        "handlers": handlers,
+        "transitions": transitions,
+        "guards": guards,
+        "timeout": this._timeout,
+        "pending": this._pendingState,
+        "final": this._final,
+        "data validator": this._dataValidator != null,
+        "onEnter actions": this._onEnterActions.length,
+        "onExit actions": this._onExitActions.length,
+        "deferred": this._deferred
+      }
+      if (this._children.length > 0) {
+        result["initial"] = this._initialChild()._name
+        result["states"] = this._children.map(child => child.describe())
+      }
+      return result
+    }
+  }
+
+  /**
+   * The immutable definition of a FSM, built by <tt>define</tt>.
+   * It can start any number of independent FSM instances, which share its states and handlers:
+   * each instance has its own state, data, context, timers, queue, history, listeners and observers.
+   *
+   * @final
+   */
+  class Definition {
+    /**
+     * Constructs the definition from the builder.
+     *
+     * This method is not available outside the module.
+     *
+     * @protected
+     * @param {FSMBuilder} builder - The FSM builder
+     * @param {Object} states - The built states, by name
+     * @param {Object} validation - The validation report, see <tt>FSM.validate</tt>
+     * @param {Object} functions - Custom functions set in initializer, added into each FSM
+     */
+    constructor(builder, states, validation, functions) {
+      this._initialState = builder._initialState
+      this._initialData = builder._initialData
+      this._states = states
+      this._onStateChangedListeners = builder._onStateChangedListeners.slice()
+      this._onTerminationListeners = builder._onTerminationListeners.slice()
+      this._unhandledHandler = builder._unhandledHandler
+      this._clock = builder._clock
+      this._errorHandler = builder._errorHandler
+      this._version = builder._version
+      this._serializer = builder._serializer
+      this._migration = builder._migration
+      this._maxQueueDepth = builder._maxQueueDepth
+      this._maxStashSize = builder._maxStashSize
+      this._historyLimit = builder._historyLimit
+      this._middlewares = builder._middlewares.slice()
+      this._regions = builder._regionNames().length > 0 ? builder._regionNames() : null
+      this._validation = validation
+      this._functions = functions
+      this._config = builder._config
+    }
+
+    /**
+     * Starts a new FSM instance of this definition.
+     *
+     * Options are optional and can contain:
+     * <ul>
+     *   <li><tt>state</tt>: the state to start in, instead of the one given to <tt>FSMBuilder.startWith</tt>;</li>
+     *   <li><tt>data</tt>: the data to start with, instead of the one given to <tt>FSMBuilder.startWith</tt>;</li>
+     *   <li><tt>context</tt>: a value specific to the instance, as its identifier or services, see <tt>FSM.context</tt>;</li>
+     *   <li><tt>from</tt>: a snapshot (see <tt>FSM.snapshot</tt>) to resume from, instead of the state and data.
+     *   Entry actions of the restored state are not called.</li>
+     * </ul>
+     *
+     * @public
+     * @param {Object} [options] - The instance options
+     * @return {FSM} The started <tt>FSM</tt>, it will be sealed to avoid further changes.
+     * @throws {InvalidSnapshotError} If the snapshot to restore is invalid
+     */
+    start(options) {
+      const fsm = this._instantiate(options)
+      fsm._start(options != null && options.from !== undefined)
+      return fsm
+    }
+
+    /**
+     * Creates a new FSM instance of this definition, without entering its initial state.
+     *
+     * @protected
+     * @param {Object} [options] - The instance options, see <tt>start</tt>
+     * @return {FSM} The sealed FSM, to start with <tt>FSM._start</tt>
+     * @throws {InvalidSnapshotError} If the snapshot to restore is invalid
+     */
+    _instantiate(options) {
+      const opts = options || {}
+      const fsm = new FSM(
+        opts.state !== undefined ? opts.state : this._initialState,
+        opts.data !== undefined ? opts.data : this._initialData,
+        this._onStateChangedListeners.slice(), this._unhandledHandler, this._clock, this._errorHandler)
+      fsm._initialState = this._initialState
+      fsm._states = this._states
+      fsm._onTerminationListeners = this._onTerminationListeners.slice()
+      fsm._validation = this._validation
+      fsm._version = this._version
+      fsm._serializer = this._serializer
+      fsm._migration = this._migration
+      fsm._maxQueueDepth = this._maxQueueDepth
+      fsm._maxStashSize = this._maxStashSize
+      fsm._historyLimit = this._historyLimit
+      fsm._middlewares = this._middlewares
+      fsm._regions = this._regions
+      fsm._context = opts.context !== undefined ? opts.context : null
+      fsm._definition = this
+      if (opts.from !== undefined) {
+        fsm._restore(opts.from)
+      }
+
+      // Adds custom functions set in initializer into returned FSM
+      for (let attr in this._functions) {
+        if (this._functions.hasOwnProperty(attr)) {
+          fsm[attr] = this._functions[attr]
+        }
+      }
+
+      Object.seal(fsm)
+      return fsm
+    }
+
+    /**
+     * Returns the validation report of this definition, see <tt>FSM.validate</tt>.
+     *
+     * @public
+     * @return {Object} The frozen report <tt>{valid, errors, warnings}</tt>
+     */
+    validate() {
+      return this._validation
+    }
+
+    /**
+     * Returns the configuration of this definition, when it was built from a configuration (see <tt>fromConfig</tt>).
+     * Building a FSM from the returned configuration gives the same definition.
+     *
+     * @public
+     * @return {Object} A copy of the configuration
+     * @throws {FSMError} If the definition was not built from a configuration
+     */
+    toConfig() {
+      if (this._config == null) {
+        throw new FSMError('The definition was not built from a configuration, see k.fsm.fromConfig', undefined, undefined, [])
+      }
+      return JSON.parse(JSON.stringify(this._config))
+    }
+
+    /**
+     * Returns the W3C SCXML document of this definition.
+     * When it was built from a configuration or a SCXML document (see <tt>fromConfig</tt> and <tt>fromSCXML</tt>),
+     * the document is written from the configuration, else from the states, as diagrams (see <tt>_scxmlConfig</tt>).
+     *
+     * @public
+     * @return {string} The SCXML document
+     * @throws {SCXMLError} If the definition uses features which cannot be written in SCXML, as timeouts
+     */
+    toSCXML() {
+      if (this._config != null) {
+        return configToSCXML(this.toConfig())
+      }
+      const issues = []
+      return configToSCXML(this._scxmlConfig(issues), issues)
+    }
+
+    /**
+     * Returns the configuration of this definition built with code, as far as it can be written in SCXML.
+     * Each handler becomes a transition to the target declared with the <tt>to</tt> option of <tt>StateBuilder.on</tt>,
+     * its guard being named by its label or its function name, and actions are named by their function name.
+     * Handlers without one declared target, anonymous guards and actions, deferred events and the unhandled handler
+     * are added to the issues, other features are checked by <tt>configToSCXML</tt>.
+     *
+     * @protected
+     * @param {Array} issues - The array receiving the issues <tt>{code, state, event, message}</tt>
+     * @return {Object} The configuration, see <tt>fromConfig</tt>
+     */
+    _scxmlConfig(issues) {
+      const unsupported = function(state, event, message) {
+        issues.push(Object.freeze({ code: 'unsupported-scxml', state: state, event: event, message: message }))
+      }
+      const actionNames = (state, kind, actions) => actions.map(action => {
+        if (!action.name) {
+          unsupported(state._name, null, 'An anonymous ' + kind + ' action of the state "' + state._name + '" cannot be written in SCXML')
+        }
+        return action.name
+      })
+      const convert = state => {
+        const result = {}
+        if (this._regions != null && this._regions.indexOf(state._name) >= 0) {
+          result.region = true
+        }
+        if (state._final) {
+          result.final = true
+        }
+        if (state._timeout != null) {
+          result.timeout = state._timeout
+        }
+        if (state._pendingState != null) {
+          result.pending = state._pendingState
+        }
+        if (state._dataValidator != null) {
+          result.data = state._dataValidator
+        }
+        if (state._onEnterActions.length > 0) {
+          result.onEnter = actionNames(state, 'entry', state._onEnterActions)
+        }
+        if (state._onExitActions.length > 0) {
+          result.onExit = actionNames(state, 'exit', state._onExitActions)
+        }
+        if (state._deferred.length > 0) {
+          unsupported(state._name, null, 'The deferred events of the state "' + state._name + '" cannot be written in SCXML')
+        }
+        const events = Object.keys(state._handlers)
+        if (events.length > 0) {
+          result.on = {}
+          events.forEach(event => {
+            result.on[event] = state._handlers[event].map(handler => {
+              if (handler.to == null || handler.to.length !== 1) {
+                unsupported(state._name, event,
+                  'The handler of the event "' + event + '" in the state "' + state._name + '" must declare one target (option to) to be written in SCXML')
+              }
+              const transition = { target: handler.to != null ? handler.to[0] : null }
+              if (handler.guard != null) {
+                // Guards without name nor label are labelled "guard", as inline guards named after the option.
+                if (handler.label === 'guard') {
+                  unsupported(state._name, event,
+                    'The anonymous guard of the event "' + event + '" in the state "' + state._name + '" cannot be written in SCXML, give it a label')
+                }
+                transition.guard = handler.label
+              }
+              return transition
+            })
+          })
+        }
+        if (state._children.length > 0) {
+          if (state._initial != null) {
+            result.initial = state._initial.slice(state._name.length + 1)
+          }
+          result.states = {}
+          state._children.forEach(child => {
+            result.states[child._name.slice(state._name.length + 1)] = convert(child)
+          })
+        }
+        return result
+      }
+
+      if (this._unhandledHandler != null) {
+        unsupported(null, null, 'The unhandled handler cannot be written in SCXML')
+      }
+      const config = { initial: this._initialState, data: this._initialData, states: {} }
+      Object.keys(this._states).map(state => this._states[state]).filter(state => state._parent == null).forEach(state => {
+        config.states[state._name] = convert(state)
+      })
+      if (this._version !== 1) {
+        config.version = this._version
+      }
+      return config
+    }
+
+    /**
+     * Returns a clean version of this definition, as <tt>FSM.describe</tt> without the state of an instance.
+     *
+     * @public
+     * @param {boolean} [stringify=true] - If <tt>true</tt>, returns a string version with <tt>JSON.stringify</tt> of the object descriptor, otherwise the plain object.
+     */
+    describe(stringify) {
+      const result = {
+        "initial state": this._initialState,
+        "initial data": this._initialData,
+        "onStateChanged listeners": this._onStateChangedListeners.length,
+        "termination listeners": this._onTerminationListeners.length,
+        "unhandled handler": this._unhandledHandler != null,
+        "error handler": this._errorHandler != null,
+        "version": this._version,
+        "regions": this._regions != null ? this._regions : [],
+        "middlewares": this._middlewares.length,
+        "states": Object.keys(this._states).map(state => this._states[state]).filter(state => state._parent == null).map(state => state.describe())
+      }
+      if (stringify == null || stringify) {
+        return JSON.stringify(result, null, ' ')
+      } else {
+        return Object.freeze(result)
+      }
+    }
+  }
+
+  /**
+   * Supervision directives of actors, see <tt>ActorSystem.spawn</tt>.
+   */
+  const SUPERVISION_DIRECTIVES = ['restart', 'stop', 'escalate']
+
+  /**
+   * An in-process system of named FSMs, the actors, built by <tt>system</tt>.
+   * Actors send events to each other with <tt>FSM.sendTo(target, event, ...args)</tt>: events are queued in the FSM of the target,
+   * as in a mailbox, and processed in FIFO order once the target is idle.
+   * As in Akka, actors can spawn child actors, and errors raised by an actor are handled by its supervision.
+   *
+   * @final
+   */
+  class ActorSystem {
+    /**
+     * Constructs an empty actor system.
+     *
+     * This method is not available outside the module.
+     *
+     * @protected
+     * @param {string|function} supervision - The default supervision of actors, see <tt>spawn</tt>
+     */
+    constructor(supervision) {
+      this._actors = {}
+      this._supervision = supervision
+    }
+
+    /**
+     * Starts a new actor with the given name.
+     * Its name is unique in the system, until the actor stops (see <tt>FSM.stop</tt>).
+     *
+     * Options are the ones of <tt>Definition.start</tt>, and can also contain <tt>supervision</tt>,
+     * what to do when an error raised by the actor is handled neither by its error handler (see <tt>FSMBuilder.onError</tt>)
+     * nor by the caller of <tt>fire</tt> (when it returns a <tt>Promise</tt>):
+     * <ul>
+     *   <li><tt>'restart'</tt>: the actor stops its children, then enters again the state and data it was started with,
+     *   and keeps processing its queued events;</li>
+     *   <li><tt>'stop'</tt>: the actor stops, with the error as reason;</li>
+     *   <li><tt>'escalate'</tt>: the error is given to the supervision of the parent actor,
+     *   or thrown as without actor system for a top-level actor;</li>
+     *   <li>a function called with the error and the actor, returning one of these directives.</li>
+     * </ul>
+     * By default, it is the supervision given to <tt>system</tt>.
+     *
+     * @public
+     * @param {string} name - The actor name
+     * @param {Definition|function} definition - The definition of the actor (see <tt>define</tt>), or its initializer
+     * @param {Object} [options] - The actor options
+     * @return {FSM} The started actor
+     * @throws {RangeError} If an actor with the same name exists, or if the supervision is unknown
+     */
+    spawn(name, definition, options) {
+      return this._spawn(name, definition, options, null)
+    }
+
+    /**
+     * Starts a new actor, see <tt>spawn</tt>.
+     *
+     * @protected
+     * @param {string} name - The actor name
+     * @param {Definition|function} definition - The definition of the actor, or its initializer
+     * @param {Object} [options] - The actor options
+     * @param {?FSM} parent - The actor spawning this one, if any
+     * @return {FSM} The started actor
+     */
+    _spawn(name, definition, options, parent) {
+      if (this._actors.hasOwnProperty(name)) {
+        throw new RangeError('The actor "' + name + '" already exists')
+      }
+      const opts = options || {}
+      const supervision = opts.supervision != null ? opts.supervision : this._supervision
+      checkSupervision(supervision)
+      const def = definition instanceof Definition ? definition : define(definition)
+      const fsm = def._instantiate(opts)
+      fsm._actor = {
+        system: this,
+        name: name,
+        parent: parent,
+        children: [],
+        supervision: supervision,
+        state: fsm._currentState,
+        data: fsm._currentData
+      }
+      this._actors[name] = fsm
+      if (parent != null) {
+        parent._actor.children.push(fsm)
+      }
+      fsm._start(opts.from !== undefined)
+      return fsm
+    }
+
+    /**
+     * Forgets the stopped actor, after stopping its children.
+     *
+     * @protected
+     * @param {FSM} fsm - The stopped actor
+     * @param {*} reason - The reason of the stop, given to children
+     */
+    _remove(fsm, reason) {
+      fsm._actor.children.slice().forEach(child => child._terminate(reason))
+      delete this._actors[fsm._actor.name]
+      if (fsm._actor.parent != null) {
+        const siblings = fsm._actor.parent._actor.children
+        siblings.splice(siblings.indexOf(fsm), 1)
+      }
+    }
+
+    /**
+     * Returns the actor with the given name.
+     *
+     * @public
+     * @param {string} name - The actor name
+     * @return {?FSM} The actor, <tt>null</tt> if there is none (or if it is stopped)
+     */
+    actor(name) {
+      return this._actors.hasOwnProperty(name) ? this._actors[name] : null
+    }
+
+    /**
+     * Returns names of actors of this system, in spawn order.
+     *
+     * @public
+     * @return {Array} The actor names
+     */
+    names() {
+      return Object.keys(this._actors)
+    }
+
+    /**
+     * Sends the event to the actor with the given name, see <tt>FSM.sendTo</tt>.
+     *
+     * @public
+     * @param {string} name - The actor name
+     * @param arguments Other arguments are the event name and its arguments
+     * @return this actor system (chained calls)
+     * @throws {RangeError} If there is no actor with the given name
+     */
+    send(name /*, dynamic arguments */ ) {
+      const target = this.actor(name)
+      if (target == null) {
+        throw new RangeError('The actor "' + name + '" does not exist')
+      }
+      target._post(Array.prototype.slice.call(arguments, 1))
+      return this
+    }
+
+    /**
+     * Stops all actors of this system, see <tt>FSM.stop</tt>.
+     *
+     * @public
+     * @param {*} [reason] - The reason of the stop
+     * @return this actor system (chained calls)
+     */
+    stop(reason) {
+      this.names().map(name => this._actors[name]).filter(fsm => fsm._actor.parent == null).forEach(fsm => fsm._terminate(reason))
+      return this
+    }
+  }
+
+  /**
+   * Checks that the supervision of an actor is a directive or a function, see <tt>ActorSystem.spawn</tt>.
+   *
+   * @param {*} supervision - The supervision
+   * @throws {RangeError} If the supervision is unknown
+   */
+  function checkSupervision(supervision) {
+    if (typeof supervision !== 'function' && SUPERVISION_DIRECTIVES.indexOf(supervision) < 0) {
+      throw new RangeError('Unknown supervision "' + supervision + '", expected one of ' + SUPERVISION_DIRECTIVES.join(', ') + ' or a function')
+    }
+  }
+
+  /**
+   * Builder of a FSM.
+   * It provides methods to build the FSM and initialize it.
+   *
+   * @final
+   */
+  class FSMBuilder {
+    /**
+     * Creates the builder and initializes attributes.
+     *
+     * @protected
+     */
+    constructor() {
+      this._initialState = null
+      this._initialData = null
+      this._states = {}
+      this._onStateChangedListeners = []
+      this._onTerminationListeners = []
+      this._unhandledHandler = null
+      this._clock = DEFAULT_CLOCK
+      this._errorHandler = null
+      this._duplicateStates = []
+      this._version = 1
+      this._serializer = JSON_SERIALIZER
+      this._migration = null
+      this._maxQueueDepth = DEFAULT_MAX_QUEUE_DEPTH
+      this._maxStashSize = DEFAULT_MAX_STASH_SIZE
+      this._historyLimit = null
+      this._middlewares = []
+      this._config = null
+    }
+
+    /**
+     * Sets the initial state of the FSM.
+     * This method can be called several times.
+     * The last call will be used for built FSM.
+     * This function can be called any time, the state does not need to exist to be used.
+     *
+     * With parallel regions (see <tt>region</tt>), the initial state is an object giving the initial state of regions,
+     * relative to the region (as <tt>{connection: 'offline'}</tt>), or <tt>null</tt>.
+     * Regions missing in this object start in their initial substate.
+     *
+     * @public
+     * @param {string|Object} initialState - The initial state name
+     * @param {*} initialData - The initial state data
+     * @return this FSM builder (chained calls)
+     */
+    startWith(initialState, initialData) {
+      this._initialState = initialState
+      this._initialData = initialData
+      return this
+    }
+
+    /**
+     * Initializes a new State for this FSM.
+     *
+     * Options are optional and can contain:
+     * <ul>
+     *   <li><tt>timeout</tt>: a delay in milliseconds after which the event <tt>'StateTimeout'</tt> is fired
+     *   if nothing happens in the state. It is restarted each time an event is handled in the state
+     *   and cancelled when the state is left.</li>
+     *   <li><tt>pending</tt>: the state in which the FSM waits while an asynchronous handler of this state is pending.
+     *   Without it, the FSM stays in this state and incoming events are queued until the end of the transition.
+     *   With it, the FSM goes into the pending state, which handles incoming events as any state:
+     *   if it is left before the end of the transition, the transition is cancelled (its abort signal is aborted
+     *   and its result ignored).</li>
+     *   <li><tt>initial</tt>: for a composite state, the name of the substate entered with it (relative to this state).
+     *   By default, it is the first declared substate.</li>
+     *   <li><tt>final</tt>: <tt>true</tt> if the state is a final state of its region (see <tt>region</tt>).
+     *   Without regions, the FSM stops after entering a final state (see <tt>FSM.stop</tt>).</li>
+     *   <li><tt>data</tt>: the schema of the data in this state and its substates, checked with the initial data
+     *   and with the data returned by each handler going to (or staying in) this state.
+     *   It is a JSON schema, of which <tt>type</tt>, <tt>enum</tt>, <tt>minimum</tt>, <tt>maximum</tt>, <tt>properties</tt>,
+     *   <tt>required</tt>, <tt>additionalProperties</tt> and <tt>items</tt> are checked,
+     *   or a function receiving the data and returning <tt>true</tt> if it is valid, else <tt>false</tt> or an error message.
+     *   Invalid data raises an <tt>InvalidDataError</tt>, handled as an invalid handler result (see <tt>onError</tt>).</li>
+     * </ul>
+     * A timeout or a pending state of a composite state applies to its substates which do not declare their own one.
+     *
+     * A name containing dots declares a substate of the state named by its prefix, as <tt>'editing.draft'</tt>
+     * for the substate <tt>draft</tt> of <tt>editing</tt> (see <tt>StateBuilder.when</tt>).
+     *
+     * @public
+     * @param {string} stateName - The state name
+     * @param {Object} [options] - The state options
+     * @param {function} stateInitializer - The initializer function for the created state
+     * @return this FSM builder (chained calls)
+     */
+    when(stateName, options, stateInitializer) {
+      if (typeof options === 'function') {
+        stateInitializer = options
+        options = {}
+      }
+      const state = new StateBuilder(stateName, options || {}, this);
+      if (this._states.hasOwnProperty(stateName)) {
+        this._duplicateStates.push(stateName)
+      }
+      this._states[stateName] = state;
+      stateInitializer(state);
+      return this
+    }
+
+    /**
+     * Initializes a parallel region of this FSM: a top-level composite state whose substates are declared in the initializer
+     * (see <tt>StateBuilder.when</tt>) and accepting the same options as states.
+     * When regions are declared, all top-level states must be regions and the FSM is in one state of each region at the same time.
+     *
+     * Each fired event is given to every region handling it (in their current state or its parent states), in declaration order,
+     * the data returned by a region being given to the next one. The event is given to wildcard handlers and to the unhandled
+     * handler only if no region handles it. Handlers of a region must return a state of this region (full name, as
+     * <tt>'connection.online'</tt>) and cannot be asynchronous. The state of the FSM is then an object giving the state
+     * of each region (see <tt>FSM.state</tt>).
+     *
+     * When all regions are in final states (option <tt>final</tt>), the event <tt>'Done'</tt> is fired.
+     * It can be handled by any region, and is ignored otherwise.
+     *
+     * @public
+     * @param {string} regionName - The region name
+     * @param {Object} [options] - The region options
+     * @param {function} regionInitializer - The initializer function for the created region
+     * @return this FSM builder (chained calls)
+     */
+    region(regionName, options, regionInitializer) {
+      if (typeof options === 'function') {
+        regionInitializer = options
+        options = {}
+      }
+      const regionOptions = {}
+      for (let option in options) {
+        if (options.hasOwnProperty(option)) {
+          regionOptions[option] = options[option]
+        }
+      }
+      regionOptions.region = true
+      return this.when(regionName, regionOptions, regionInitializer)
+    }
+
+    /**
+     * Adds an observer to listen of state changes.
+     * Listeners will be triggered only when the state name change.
+     * Two parameters will be provided to the listener, the old state name and the new state name. No data will be passed.
+     * To observe transitions after the creation of the FSM, or with their data, see <tt>FSM.on</tt>.
+     *
+     * @public
+     * @param {function} listener - The state change listener
+     * @return this FSM builder (chained calls)
+     */
+    onStateChanged(listener) {
+      this._onStateChangedListeners.push(listener);
+      return this
+    }
+
+    /**
+     * Adds a listener called when the FSM stops, with <tt>stop</tt> or by entering a final state (see <tt>when</tt>).
+     * Three parameters will be provided to the listener, the reason of the stop (<tt>undefined</tt> for a final state),
+     * the last state and the last data. The FSM is <tt>this</tt> in the listener.
+     *
+     * @public
+     * @param {function} listener - The termination listener
+     * @return this FSM builder (chained calls)
+     */
+    onTermination(listener) {
+      this._onTerminationListeners.push(listener)
+      return this
+    }
+
+    /**
+     * Sets the handler of events which are handled neither by the current state nor by its wildcard handler.
+     * As in Akka FSM, it is the place to centralize logging of unexpected events or the "stay" behavior.
+     * Two parameters will be provided to the handler, the current data and a frozen event descriptor
+     * <tt>{name, args, state}</tt>. It must return the next state and data as any other event handler.
+     * This method can be called several times, the last call will be used for built FSM.
+     *
+     * @public
+     * @param {function} handler - The unhandled event handler
+     * @return this FSM builder (chained calls)
+     */
+    whenUnhandled(handler) {
+      this._unhandledHandler = handler
+      return this
+    }
+
+    /**
+     * Sets the handler of errors raised when firing an event: unknown event, exception thrown by the handler,
+     * invalid handler result or unknown next state.
+     * Three parameters will be provided to the handler, the error, the current data
+     * and a frozen event descriptor <tt>{name, args, state}</tt>.
+     * <tt>this</tt> refers to the FSM, as in event handlers.
+     *
+     * The handler chooses the policy:
+     * <ul>
+     *   <li>rethrow: throw the given error (or another one), or return nothing;</li>
+     *   <li>stay in the current state: return <tt>[event.state, data]</tt>;</li>
+     *   <li>move to an error state: return <tt>['error state', data]</tt>.</li>
+     * </ul>
+     * This method can be called several times, the last call will be used for built FSM.
+     *
+     * @public
+     * @param {function} handler - The error handler
+     * @return this FSM builder (chained calls)
+     */
+    onError(handler) {
+      this._errorHandler = handler
+      return this
+    }
+
+    /**
+     * Sets the version of the FSM definition, stored in snapshots (see <tt>FSM.snapshot</tt>).
+     * Change it when states or data of the FSM change, so that older snapshots are migrated when restored.
+     * By default, the version is <tt>1</tt>.
+     *
+     * @public
+     * @param {number|string} version - The definition version
+     * @return this FSM builder (chained calls)
+     */
+    withVersion(version) {
+      this._version = version
+      return this
+    }
+
+    /**
+     * Sets the serializer of the FSM data in snapshots.
+     * A serializer is an object with <tt>serialize(data)</tt> returning a JSON-safe value
+     * and <tt>deserialize(json)</tt> returning the data.
+     * By default, data is copied through JSON.
+     *
+     * @public
+     * @param {Object} serializer - The data serializer
+     * @return this FSM builder (chained calls)
+     */
+    serializeWith(serializer) {
+      this._serializer = serializer
+      return this
+    }
+
+    /**
+     * Sets the migration of snapshots taken under another version of the definition.
+     * Three parameters will be provided to the migration: the snapshot, its version and the current version.
+     * The migration must return the snapshot for the current version, with the same format (data is still serialized).
+     *
+     * @public
+     * @param {function} migration - The snapshot migration
+     * @return this FSM builder (chained calls)
+     */
+    migrate(migration) {
+      this._migration = migration
+      return this
+    }
+
+    /**
+     * Sets the maximum number of events waiting in the event queue (see <tt>FSM.fire</tt> and <tt>FSM.send</tt>).
+     * When the queue is full, firing or sending an event raises a <tt>QueueOverflowError</tt>, which reveals an event storm.
+     * By default, the maximum is 1000 events.
+     *
+     * @public
+     * @param {number} depth - The maximum number of queued events
+     * @return this FSM builder (chained calls)
+     */
+    withMaxQueueDepth(depth) {
+      this._maxQueueDepth = depth
+      return this
+    }
+
+    /**
+     * Sets the maximum number of stashed events (see <tt>FSM.stash</tt> and <tt>StateBuilder.defer</tt>).
+     * When the stash is full, stashing an event raises a <tt>StashOverflowError</tt>.
+     * By default, the maximum is 100 events.
+     *
+     * @public
+     * @param {number} size - The maximum number of stashed events
+     * @return this FSM builder (chained calls)
+     */
+    withMaxStashSize(size) {
+      this._maxStashSize = size
+      return this
+    }
+
+    /**
+     * Enables the history of the FSM (see <tt>FSM.history</tt>), which records each handled event with its arguments,
+     * the state and data before and after the transition.
+     * The history is bounded: when it is full, the oldest entry is forgotten.
+     * By default, the history is disabled, and it keeps 100 entries when enabled.
+     *
+     * @public
+     * @param {number} [limit=100] - The maximum number of entries
+     * @return this FSM builder (chained calls)
+     */
+    withHistory(limit) {
+      this._historyLimit = limit != null ? limit : DEFAULT_HISTORY_LIMIT
+      return this
+    }
+
+    /**
+     * Adds a middleware around the handling of events, for logging, metrics, validation or permission checks.
+     * A middleware is a function <tt>(ctx, next)</tt> called with the FSM as <tt>this</tt>, where <tt>ctx</tt> is an object
+     * <tt>{event, args, state, data, veto}</tt> and <tt>next</tt> calls the next middleware, or the handler for the last one.
+     * It must return the result of <tt>next</tt>, or its own next state and data. It can:
+     * <ul>
+     *   <li>rewrite <tt>ctx.event</tt> and <tt>ctx.args</tt> before calling <tt>next</tt>;</li>
+     *   <li>veto the event with <tt>ctx.veto(reason)</tt>, which throws an <tt>EventVetoedError</tt>;</li>
+     *   <li>post-process the next state and data returned by <tt>next</tt>, which can be a <tt>Promise</tt> of them.
+     *   When the handler returns a <tt>Transition</tt> (see <tt>FSM.goto</tt>), it is the third item of the array,
+     *   and it is ignored if the middleware returns another array.</li>
+     * </ul>
+     * Middlewares are called in declaration order, for all events, including timeouts and timers.
+     * See <tt>logger</tt> and <tt>timing</tt> for built-in middlewares.
+     *
+     * @public
+     * @param {function} middleware - The middleware
+     * @return this FSM builder (chained calls)
+     */
+    use(middleware) {
+      this._middlewares.push(middleware)
+      return this
+    }
+
+    /**
+     * Sets the clock used to schedule state timeouts, timers, sent events and <tt>executeOut</tt> functions.
+     * A clock is an object with <tt>setTimeout(callback, delay)</tt> and <tt>clearTimeout(id)</tt> functions.
+     * By default, global <tt>setTimeout</tt> and <tt>clearTimeout</tt> are used.
+     * It is mainly useful for tests, with a <tt>ManualClock</tt>.
+     *
+     * @public
+     * @param {Object} clock - The clock
+     * @return this FSM builder (chained calls)
+     */
+    withClock(clock) {
+      this._clock = clock
+      return this
+    }
+
+    /**
+     * Validates the FSM definition.
+     *
+     * @protected
+     * @return {Object} The validation report, see <tt>FSM.validate</tt>
+     */
+    _validate() {
+      const errors = []
+      const warnings = []
+      const issue = function(code, state, event, message) {
+        return Object.freeze({ code: code, state: state, event: event, message: message })
+      }
+
+      const regions = this._regionNames()
+      const initialStates = []
+      if (regions.length > 0) {
+        const initialState = this._initialState || {}
+        regions.forEach(region => {
+          const state = region + SEPARATOR + initialState[region]
+          initialStates.push(initialState.hasOwnProperty(region) && this._states.hasOwnProperty(state) ? state : region)
+        })
+        Object.keys(initialState).forEach(region => {
+          if (regions.indexOf(region) < 0 || !this._states.hasOwnProperty(region + SEPARATOR + initialState[region])) {
+            errors.push(issue('unknown-initial-state', region, null,
+              'The initial state "' + initialState[region] + '" of region "' + region + '" is not declared'))
+          }
+        })
+      } else if (this._initialState == null) {
+        errors.push(issue('missing-initial-state', null, null, 'The initial state is not set, startWith must be called'))
+      } else if (!this._states.hasOwnProperty(this._initialState)) {
+        errors.push(issue('unknown-initial-state', this._initialState, null, 'The initial state "' + this._initialState + '" is not declared'))
+      } else {
+        initialStates.push(this._initialState)
+      }
+      for (let i = 0, c = this._duplicateStates.length; i < c; i++) {
+        const state = this._duplicateStates[i]
+        errors.push(issue('duplicate-state', state, null, 'The state "' + state + '" is declared several times, only the last declaration is kept'))
+      }
+
+      const parentOf = state => {
+        const parent = parentName(state)
+        return parent != null && this._states.hasOwnProperty(parent) ? parent : null
+      }
+      const childrenOf = state => Object.keys(this._states).filter(child => parentOf(child) == state)
+      const ancestorsOf = state => {
+        const ancestors = []
+        for (let ancestor = state; ancestor != null; ancestor = parentOf(ancestor)) {
+          ancestors.push(ancestor)
+        }
+        return ancestors
+      }
+      const initialChildOf = state => {
+        const children = childrenOf(state)
+        const initial = state + SEPARATOR + this._states[state]._options.initial
+        return children.indexOf(initial) >= 0 ? initial : children[0]
+      }
+      const leafOf = state => {
+        while (childrenOf(state).length > 0) {
+          state = initialChildOf(state)
+        }
+        return state
+      }
+
+      for (let state in this._states) {
+        if (this._states.hasOwnProperty(state)) {
+          const parent = parentName(state)
+          if (parent != null && !this._states.hasOwnProperty(parent)) {
+            errors.push(issue('unknown-parent-state', state, null,
+              'The state "' + state + '" is a substate of the unknown state "' + parent + '"'))
+          }
+          if (parent == null && regions.length > 0 && regions.indexOf(state) < 0) {
+            errors.push(issue('state-outside-regions', state, null,
+              'The state "' + state + '" is not a region, while the FSM has parallel regions'))
+          }
+          const initial = this._states[state]._options.initial
+          if (initial != null && childrenOf(state).indexOf(state + SEPARATOR + initial) < 0) {
+            errors.push(issue('unknown-initial-substate', state, null,
+              'The state "' + state + '" declares the unknown initial substate "' + initial + '"'))
+          }
+          const pendingState = this._states[state]._options.pending
+          if (pendingState != null && !this._states.hasOwnProperty(pendingState)) {
+            errors.push(issue('unknown-pending-state', state, null,
+              'The state "' + state + '" declares the unknown pending state "' + pendingState + '"'))
+          }
+          const handlers = this._states[state]._handlers
+          for (let event in handlers) {
+            if (handlers.hasOwnProperty(event)) {
+              handlers[event].forEach((handler, index) => {
+                const targets = handler.to || []
+                for (let i = 0, c = targets.length; i < c; i++) {
+                  if (!this._states.hasOwnProperty(targets[i])) {
+                    errors.push(issue('unknown-target', state, event,
+                      'The event "' + event + '" of state "' + state + '" declares the unknown target "' + targets[i] + '"'))
+                  } else if (regions.length > 0 && String(targets[i]).split(SEPARATOR)[0] !== state.split(SEPARATOR)[0]) {
+                    errors.push(issue('cross-region-target', state, event,
+                      'The event "' + event + '" of state "' + state + '" declares the target "' + targets[i] + '" of another region'))
+                  }
+                }
+                if (handlers[event].slice(0, index).some(previous => previous.guard == null)) {
+                  warnings.push(issue('shadowed-handler', state, event,
+                    'The handler #' + (index + 1) + ' of event "' + event + '" in state "' + state + '" is never called, a previous handler has no guard'))
+                }
+              })
+            }
+          }
+          const timeoutHandled = this._unhandledHandler != null || ancestorsOf(state).some(ancestor => {
+            const ancestorState = this._states[ancestor]
+            return ancestorState._handlers.hasOwnProperty(STATE_TIMEOUT) || ancestorState._handlers.hasOwnProperty(WILDCARD) ||
+              ancestorState._deferred.indexOf(STATE_TIMEOUT) >= 0
+          })
+          if (childrenOf(state).length == 0 && !timeoutHandled && ancestorsOf(state).some(ancestor => this._states[ancestor]._options.timeout != null)) {
+            warnings.push(issue('unhandled-timeout', state, STATE_TIMEOUT,
+              'The state "' + state + '" has a timeout, but no handler of the event "' + STATE_TIMEOUT + '"'))
+          }
+          // Composite states are never current states, their handlers are checked with their substates.
+          const canLeave = this._unhandledHandler != null || childrenOf(state).length > 0 || this._states[state]._options.final === true ||
+            ancestorsOf(state).some(ancestor => {
+              const ancestorHandlers = this._states[ancestor]._handlers
+              return Object.keys(ancestorHandlers).some(event => ancestorHandlers[event].some(handler =>
+                handler.to == null || handler.to.some(target => !this._states.hasOwnProperty(target) || leafOf(target) != state)))
+            })
+          if (!canLeave) {
+            warnings.push(issue('dead-end-state', state, null, 'The state "' + state + '" cannot be left'))
+          }
+        }
+      }
+
+      if (initialStates.length > 0) {
+        const reachable = {}
+        const visited = {}
+        const queue = initialStates.slice()
+        let unknownTargets = this._unhandledHandler != null
+        while (queue.length > 0 && !unknownTargets) {
+          const state = queue.shift()
+          if (!visited.hasOwnProperty(state)) {
+            visited[state] = true
+            // Entering a state enters its parent states, and a composite state enters its initial substate.
+            ancestorsOf(state).forEach(ancestor => {
+              reachable[ancestor] = true
+            })
+            if (childrenOf(state).length > 0) {
+              queue.push(initialChildOf(state))
+            } else {
+              ancestorsOf(state).forEach(ancestor => {
+                const handlers = this._states[ancestor]._handlers
+                for (let event in handlers) {
+                  if (handlers.hasOwnProperty(event)) {
+                    handlers[event].forEach(handler => {
+                      if (handler.to != null) {
+                        handler.to.filter(target => this._states.hasOwnProperty(target)).forEach(target => queue.push(target))
+                      } else {
+                        unknownTargets = true
+                      }
+                    })
+                  }
+                }
+              })
+            }
+          }
+        }
+        if (!unknownTargets) {
+          for (let state in this._states) {
+            if (this._states.hasOwnProperty(state) && !reachable.hasOwnProperty(state)) {
+              warnings.push(issue('unreachable-state', state, null, 'The state "' + state + '" cannot be reached from the initial state'))
+            }
+          }
+        }
+      }
+
+      return Object.freeze({
+        valid: errors.length == 0,
+        errors: Object.freeze(errors),
+        warnings: Object.freeze(warnings)
+      })
+    }
+
+    /**
+     * Returns names of parallel regions, in declaration order.
+     *
+     * @protected
+     * @return {Array} The region names, empty if the FSM has no region
+     */
+    _regionNames() {
+      return Object.keys(this._states).filter(state => parentName(state) == null && this._states[state]._options.region === true)
+    }
+
+    /**
+     * Builds the definition of the FSM.
+     * It will return a frozen <tt>Definition</tt> to avoid any further changes.
+     *
+     * @protected
+     * @param {Object} [options] - The definition options, see <tt>define</tt>
+     * @return {Definition} The built definition
+     * @throws {InvalidDefinitionError} If the definition is invalid in strict mode
+     */
+    _build(options) {
+      const validation = this._validate()
+      if (options != null && options.strict && !validation.valid) {
+        throw new InvalidDefinitionError(
+          'Invalid FSM definition:\n' + validation.errors.map(error => '- ' + error.message).join('\n'),
+          validation.errors, validation.warnings)
+      }
+
+      const states = {}
+      for (let state in this._states) {
+        if (this._states.hasOwnProperty(state)) {
+          states[state] = this._states[state]._build()
+        }
+      }
+      for (let state in states) {
+        const parent = parentName(state)
+        if (states.hasOwnProperty(state) && parent != null && states.hasOwnProperty(parent)) {
+          states[state]._parent = states[parent]
+          states[parent]._children.push(states[state])
+        }
+      }
+
+      // Keeps custom functions set in initializer to add them into each FSM
+      const functions = {}
+      for (let attr in this) {
+        if (this.hasOwnProperty(attr) && attr.charAt(0) != '_') {
+          functions[attr] = this[attr]
+        }
+      }
+
+      const definition = new Definition(this, states, validation, functions)
+      return Object.freeze(definition)
+    }
+  }
+
+  /**
+   * FSM State builder
+   * It will provide methods to build a state of a FSM.
+   *
+   * @final
+   */
+  class StateBuilder {
+    constructor(name, options, fsmBuilder) {
+      this._name = name
+      this._options = options
+      this._fsmBuilder = fsmBuilder
+      this._handlers = {}
+      this._onEnterActions = []
+      this._onExitActions = []
+      this._deferred = []
+    }
+
+    /**
+     * Initializes a substate of this state, which becomes a composite state.
+     * The substate is named after this state, as <tt>'editing.draft'</tt> for the substate <tt>draft</tt> of <tt>editing</tt>,
+     * and accepts the same options as top-level states (see <tt>FSMBuilder.when</tt>).
+     *
+     * The FSM is always in a leaf state: a transition to a composite state enters its initial substate.
+     * Events which are not handled by a substate bubble up to its parent states.
+     * When the state changes, exit actions are called from the left state up to the closest common parent state,
+     * then entry actions from this parent state down to the entered state.
+     *
+     * @param {string} stateName - The substate name, relative to this state
+     * @param {Object} [options] - The substate options
+     * @param {function} stateInitializer - The initializer function for the created substate
+     * @return this FSM state builder (chained calls)
+     */
+    when(stateName, options, stateInitializer) {
+      this._fsmBuilder.when(this._name + SEPARATOR + stateName, options, stateInitializer)
+      return this
+    }
+
+    /**
+     * Adds a handler for the given event on this state.
+     * The event name <tt>'*'</tt> declares the wildcard handler of this state, called for any event without handler.
+     * The wildcard handler receives the current data and a frozen event descriptor <tt>{name, args, state}</tt>.
+     *
+     * Several handlers can be declared for the same event with guards.
+     * When the event is fired, guards are evaluated in declaration order and the first matching handler is called.
+     * A handler without guard always matches, so it should be declared last.
+     *
+     * Options are optional, can be given before or after the callback, and can contain:
+     * <ul>
+     *   <li><tt>guard</tt>: a function receiving the same parameters as the callback (<tt>this</tt> is the FSM)
+     *   and returning <tt>true</tt> if the handler accepts the event. It must not have side effects.</li>
+     *   <li><tt>label</tt>: the label of the guard in <tt>describe</tt> and diagrams,
+     *   by default the name of the guard function.</li>
+     *   <li><tt>to</tt>: the state name, or the array of state names, the handler can return.
+     *   It does not constrain the handler, but it is used to draw the FSM (see <tt>FSM.toDot</tt>).</li>
+     * </ul>
+     *
+     * @param {string} eventName - The event name
+     * @param {Object} [options] - The handler options
+     * @param {function} callback - The called function, parameters from <tt>FSM.fire</tt> wiil be passed through this callback.
+     * @return this FSM state builder (chained calls)
+     */
+    on(eventName, callback, options) {
+      if (typeof callback !== 'function') {
+        const handlerOptions = callback
+        callback = options
+        options = handlerOptions
+      }
+      options = options || {}
+      if (!this._handlers.hasOwnProperty(eventName)) {
+        this._handlers[eventName] = []
+      }
+      this._handlers[eventName].push(Object.freeze({
+        callback: callback,
+        guard: options.guard || null,
+        label: options.guard != null ? guardLabel(options.guard, options.label) : null,
+        to: options.to != null ? [].concat(options.to) : null
+      }))
+      return this
+    }
+
+    /**
+     * Defers the given events in this state and its substates: they are stashed without calling their handlers,
+     * and fired again after the next state change (see <tt>FSM.stash</tt>).
+     *
+     * @param arguments The names of deferred events
+     * @return this FSM state builder (chained calls)
+     */
+    defer( /* dynamic arguments */ ) {
+      Array.prototype.push.apply(this._deferred, arguments)
+      return this
+    }
+
+    /**
+     * Adds an action called each time the FSM enters this state, including when it is the initial state.
+     * Actions are called only when the state name changes, after exit actions of the previous state.
+     * Three parameters are provided: the old data, the new data and the triggering event name
+     * (the old data is <tt>undefined</tt> and the event name <tt>null</tt> for the initial state).
+     * <tt>this</tt> refers to the FSM, as in event handlers.
+     *
+     * @param {function} action - The entry action
+     * @return this FSM state builder (chained calls)
+     */
+    onEnter(action) {
+      this._onEnterActions.push(action)
+      return this
+    }
+
+    /**
+     * Adds an action called each time the FSM leaves this state.
+     * Actions are called only when the state name changes, before entry actions of the next state.
+     * Three parameters are provided: the old data, the new data and the triggering event name.
+     * <tt>this</tt> refers to the FSM, as in event handlers.
+     *
+     * @param {function} action - The exit action
+     * @return this FSM state builder (chained calls)
+     */
+    onExit(action) {
+      this._onExitActions.push(action)
+      return this
+    }
+
+    /**
+     * Build the FSM state.
+     * It will return a sealed <tt>FSMState</tt> to avoid any further changes.
+     *
+     * @protected
+     * @return The built FSM state
+     */
+    _build() {
+      return Object.seal(new State(this._name, this._handlers, this._onEnterActions, this._onExitActions, this._deferred, this._options))
+    }
+  }
+
+  /**
+   * A clock which does not depend on real time.
+   * Scheduled functions are only called when the time is advanced with <tt>advance</tt>.
+   * It is designed to test FSM with timeouts and timers deterministically.
+   */
+  class ManualClock {
+    /**
+     * Creates the clock at time 0.
+     *
+     * @public
+     */
+    constructor() {
+      this._now = 0
+      this._nextId = 1
+      this._tasks = []
+    }
+
+    /**
+     * Returns the current time of this clock, in milliseconds.
+     *
+     * @public
+     * @return {number} The elapsed time since the creation of the clock
+     */
+    now() {
+      return this._now
+    }
+
+    /**
+     * Schedules the callback after the given delay.
+     *
+     * @public
+     * @param {function} callback - The function to call
+     * @param {number} delay - The delay in milliseconds
+     * @return {number} The identifier of the scheduled task
+     */
+    setTimeout(callback, delay) {
+      const id = this._nextId++
+      this._tasks.push({
+        id: id,
+        time: this._now + Math.max(0, delay || 0),
+        callback: callback
+      })
+      return id
+    }
+
+    /**
+     * Cancels the scheduled task.
+     *
+     * @public
+     * @param {number} id - The identifier returned by <tt>setTimeout</tt>
+     */
+    clearTimeout(id) {
+      this._tasks = this._tasks.filter(task => task.id !== id)
+    }
+
+    /**
+     * Advances the time and calls scheduled functions in chronological order (then in scheduling order).
+     * Functions scheduled by called functions are also called if they expire before the new time.
+     *
+     * @public
+     * @param {number} delay - The time to advance in milliseconds
+     * @return this clock (chained calls)
+     */
+    advance(delay) {
+      const target = this._now + Math.max(0, delay || 0)
+      let next = this._next(target)
+      while (next != null) {
+        this._tasks.splice(this._tasks.indexOf(next), 1)
+        this._now = next.time
+        next.callback()
+        next = this._next(target)
+      }
+      this._now = target
+      return this
+    }
+
+    /**
+     * Returns the next task to call before the given time, or <tt>null</tt> if none.
+     *
+     * @protected
+     */
+    _next(target) {
+      let next = null
+      for (let i = 0, c = this._tasks.length; i < c; i++) {
+        const task = this._tasks[i]
+        if (task.time <= target && (next == null || task.time < next.time || (task.time == next.time && task.id < next.id))) {
+          next = task
+        }
+      }
+      return next
+    }
+  }
+
+  /**
+   * Checks a FSM configuration against <tt>CONFIG_SCHEMA</tt> (published as <tt>configSchema</tt>) and the registry of actions and guards.
+   * Issues have the same form as the ones of <tt>FSM.validate</tt>, with codes:
+   * <ul>
+   *   <li><tt>invalid-config</tt>: the configuration does not match the schema, the message gives the path of the invalid value
+   *   (the state and the event are <tt>null</tt>);</li>
+   *   <li><tt>unknown-action</tt>: an action name is not in the registry;</li>
+   *   <li><tt>unknown-guard</tt>: a guard name is not in the registry.</li>
+   * </ul>
+   *
+   * @param {*} config - The configuration
+   * @param {Object} registry - The registry <tt>{actions, guards}</tt>
+   * @return {Array} The issues, empty if the configuration is valid
+   */
+  function configIssues(config, registry) {
+    const issues = []
+    schemaIssues(CONFIG_SCHEMA, config, 'config', issues)
+    const errors = issues.map(issue => Object.freeze({ code: 'invalid-config', state: null, event: null, message: issue.message }))
+    const isObject = value => value != null && typeof value === 'object' && !Array.isArray(value)
+    const checkNames = function(names, path, kind, known, state, event) {
+      if (Array.isArray(names)) {
+        names.filter(name => typeof name === 'string' && !known.hasOwnProperty(name)).forEach(name => {
+          errors.push(Object.freeze({ code: 'unknown-' + kind, state: state, event: event,
+            message: 'The ' + kind + ' "' + name + '" of ' + path + ' is not registered' }))
+        })
+      }
+    }
+    const checkTransition = function(transition, path, state, event) {
+      if (!isObject(transition)) {
+        return
+      }
+      if (typeof transition.guard === 'string' && !registry.guards.hasOwnProperty(transition.guard)) {
+        errors.push(Object.freeze({ code: 'unknown-guard', state: state, event: event,
+          message: 'The guard "' + transition.guard + '" of ' + path + ' is not registered' }))
+      }
+      checkNames(transition.actions, path + '.actions', 'action', registry.actions, state, event)
+    }
+    const checkStates = function(states, path, parent) {
+      if (!isObject(states)) {
+        return
+      }
+      Object.keys(states).filter(name => isObject(states[name])).forEach(name => {
+        const state = parent != null ? parent + SEPARATOR + name : name
+        const statePath = path + '.' + name
+        const config = states[name]
+        checkNames(config.onEnter, statePath + '.onEnter', 'action', registry.actions, state, null)
+        checkNames(config.onExit, statePath + '.onExit', 'action', registry.actions, state, null)
+        if (isObject(config.on)) {
+          Object.keys(config.on).forEach(event => {
+            const transitions = config.on[event]
+            const eventPath = statePath + '.on.' + event
+            if (Array.isArray(transitions)) {
+              transitions.forEach((transition, index) => checkTransition(transition, eventPath + '[' + index + ']', state, event))
+            } else {
+              checkTransition(transitions, eventPath, state, event)
+            }
+          })
+        }
+        checkStates(config.states, statePath + '.states', state)
+      })
+    }
+
+    if (isObject(config)) {
+      checkStates(config.states, 'config.states', null)
+    }
+    return errors
+  }
+
+  /**
+   * Returns the initializer of the FSM described by a valid configuration, see <tt>fromConfig</tt>.
+   *
+   * @param {Object} config - The configuration
+   * @param {Object} registry - The registry <tt>{actions, guards}</tt>
+   * @return {function} The FSM initializer
+   */
+  function configInitializer(config, registry) {
+    const handler = function(target, actions) {
+      return function(data /*, dynamic arguments */) {
+        const args = Array.prototype.slice.call(arguments, 1)
+        let next = data
+        for (let i = 0, c = actions.length; i < c; i++) {
+          const result = registry.actions[actions[i]].apply(this, [next].concat(args))
+          if (result !== undefined) {
+            next = result
+          }
+        }
+        return [target, next]
+      }
+    }
+    const configure = function(builder, states) {
+      Object.keys(states).forEach(name => {
+        const stateConfig = states[name]
+        const options = {}
+        Object.keys(stateConfig).filter(key => ['timeout', 'pending', 'initial', 'final', 'region', 'data'].indexOf(key) >= 0).forEach(key => {
+          options[key] = stateConfig[key]
+        })
+        builder.when(name, options, function(state) {
+          const onEnter = stateConfig.onEnter || []
+          const onExit = stateConfig.onExit || []
+          onEnter.forEach(action => state.onEnter(registry.actions[action]))
+          onExit.forEach(action => state.onExit(registry.actions[action]))
+          const on = stateConfig.on || {}
+          Object.keys(on).forEach(event => {
+            const transitions = typeof on[event] === 'string' ? [{ target: on[event] }] : [].concat(on[event])
+            transitions.forEach(transition => {
+              state.on(event, handler(transition.target, transition.actions || []), {
+                to: transition.target,
+                guard: transition.guard !== undefined ? registry.guards[transition.guard] : null,
+                label: transition.guard
+              })
+            })
+          })
+          configure(state, stateConfig.states || {})
+        })
+      })
+    }
+    return function(fsm) {
+      fsm._config = deepFreeze(JSON.parse(JSON.stringify(config)))
+      fsm.startWith(config.initial, config.data)
+      if (config.version !== undefined) {
+        fsm.withVersion(config.version)
+      }
+      configure(fsm, config.states)
+    }
+  }
+
+  /**
+   * Defines a FSM, whose instances are started with <tt>Definition.start</tt>.
+   * The initializer is called once, and states and handlers are shared by all instances.
+   *
+   * Options are optional and can contain:
+   * <ul>
+   *   <li><tt>strict</tt>: if <tt>true</tt>, the definition is not built when it has errors (see <tt>FSM.validate</tt>).</li>
+   * </ul>
+   *
+   * @public
+   * @param {function} initializer - The FSM initializer, the only given parameter is the <tt>FSMBuilder</tt>
+   * @param {Object} [options] - The definition options
+   * @return {Definition} The built <tt>Definition</tt>, it will be frozen to avoid further changes.
+   * @throws {InvalidDefinitionError} If the definition is invalid in strict mode
+   */
+  function define(initializer, options) {
+    const builder = new FSMBuilder()
+    initializer(builder)
+    return builder._build(options)
+  }
+
+  /**
+   * Creates a new FSM and initializes it.
+   * It is a shortcut of <tt>define(initializer, options).start()</tt>.
+   *
+   * Options are optional and can contain:
+   * <ul>
+   *   <li><tt>strict</tt>: if <tt>true</tt>, the FSM is not built when its definition has errors (see <tt>FSM.validate</tt>).</li>
+   *   <li><tt>from</tt>: a snapshot (see <tt>FSM.snapshot</tt>) to resume from, instead of the state and data given to <tt>startWith</tt>.
+   *   Entry actions of the restored state are not called.</li>
+   * </ul>
+   *
+   * @public
+   * @param {function} initializer - The FSM initializer, the only given parameter is the <tt>FSMBuilder</tt>
+   * @param {Object} [options] - The creation options
+   * @return {FSM} The built <tt>FSM</tt>, it will be sealed to avoid further changes.
+   * @throws {InvalidDefinitionError} If the definition is invalid in strict mode
+   * @throws {InvalidSnapshotError} If the snapshot to restore is invalid
+   */
+  function create(initializer, options) {
+    return define(initializer, options).start(options != null ? { from: options.from } : null)
+  }
+
+  /**
+   * Creates a new FSM and resumes it from a snapshot.
+   * It is a shortcut of <tt>create(initializer, {from: snapshot})</tt>,
+   * or of <tt>definition.start({from: snapshot})</tt> for a definition (see <tt>define</tt>).
+   *
+   * @public
+   * @param {function|Definition} initializer - The FSM initializer, the only given parameter is the <tt>FSMBuilder</tt>, or the definition
+   * @param {Object} snapshot - The snapshot returned by <tt>FSM.snapshot</tt>
+   * @param {Object} [options] - Other creation options, see <tt>create</tt> (or instance options with a definition, see <tt>Definition.start</tt>)
+   * @return {FSM} The built <tt>FSM</tt>
+   * @throws {InvalidSnapshotError} If the snapshot is invalid
+   */
+  function restore(initializer, snapshot, options) {
+    if (initializer instanceof Definition) {
+      return initializer.start(Object.assign({}, options, { from: snapshot }))
+    }
+    return create(initializer, Object.assign({}, options, { from: snapshot }))
+  }
+
+  /**
+   * Creates a new FSM and fires again the events of a recorded history, to reproduce a run deterministically.
+   * Only external events of the log are fired (see <tt>FSM.history</tt>), other ones being fired again by the FSM itself.
+   * The log must start at the creation of the FSM: its history must not have been truncated.
+   *
+   * The FSM is created with a <tt>ManualClock</tt> which is never advanced (unless given with option <tt>clock</tt>),
+   * so that timers, timeouts and <tt>executeOut</tt> functions only happen from the log.
+   * If an event is processed asynchronously, next events are fired once it is processed.
+   *
+   * The FSM can also be a new instance of a definition (see <tt>define</tt>), started with the clock of the replay instead of its own one.
+   *
+   * @public
+   * @param {function|Definition} initializer - The FSM initializer, the only given parameter is the <tt>FSMBuilder</tt>, or the definition
+   * @param {Array} log - The history returned by <tt>FSM.history</tt>, or its JSON copy
+   * @param {Object} [options] - Other creation options, see <tt>create</tt> (or instance options with a definition, see <tt>Definition.start</tt>),
+   * and <tt>clock</tt> to replace the clock of the FSM
+   * @return {FSM|Promise} The FSM after the replay, or a <tt>Promise</tt> of it if an event was processed asynchronously
+   */
+  function replay(initializer, log, options) {
+    const clock = options != null && options.clock != null ? options.clock : new ManualClock()
+    let fsm
+    if (initializer instanceof Definition) {
+      fsm = initializer._instantiate(options)
+      fsm._clock = clock
+      fsm._start(options != null && options.from !== undefined)
+    } else {
+      fsm = create(function(builder) {
+        initializer(builder)
+        builder.withClock(clock)
+      }, options)
+    }
+    const events = log.filter(entry => entry.external)
+    let index = 0
+    const next = function() {
+      while (index < events.length) {
+        const entry = events[index++]
+        const result = fsm.fire.apply(fsm, [entry.event].concat(entry.args))
+        if (isThenable(result)) {
+          return result.then(next)
+        }
+      }
+      return fsm
+    }
+    return next()
+  }
+
+  /**
+   * Creates an empty actor system, whose actors are started with <tt>ActorSystem.spawn</tt>.
+   *
+   * Options are optional and can contain:
+   * <ul>
+   *   <li><tt>supervision</tt>: the default supervision of actors (see <tt>ActorSystem.spawn</tt>), <tt>'restart'</tt> by default.</li>
+   * </ul>
+   *
+   * @public
+   * @param {Object} [options] - The system options
+   * @return {ActorSystem} The actor system, it will be sealed to avoid further changes.
+   * @throws {RangeError} If the supervision is unknown
+   */
+  function system(options) {
+    const supervision = options != null && options.supervision != null ? options.supervision : 'restart'
+    checkSupervision(supervision)
+    return Object.seal(new ActorSystem(supervision))
+  }
+
+  // Public interface
+  /**
+   * Creates a new FSM from a declarative configuration, a plain object (as parsed JSON) which matches <tt>configSchema</tt>:
+   * <pre>
+   * {
+   *   initial: 'draft',
+   *   data: {},
+   *   states: {
+   *     draft: {
+   *       onEnter: ['save'],
+   *       on: {
+   *         submit: { target: 'review', guard: 'isComplete', actions: ['stamp'] },
+   *         cancel: 'closed'
+   *       }
+   *     },
+   *     ...
+   *   }
+   * }
+   * </pre>
+   * States accept the options of <tt>FSMBuilder.when</tt>, their substates in <tt>states</tt>,
+   * and names of entry and exit actions in <tt>onEnter</tt> and <tt>onExit</tt>.
+   * Each event of <tt>on</tt> is associated to the full name of the target state, to a transition
+   * <tt>{target, guard, actions}</tt>, or to an array of transitions with guards, tried in order.
+   *
+   * Actions and guards are resolved by name in the registries given in options <tt>actions</tt> and <tt>guards</tt>.
+   * Guards and entry and exit actions receive the same parameters as in <tt>StateBuilder</tt>.
+   * Actions of a transition are called in order with the data and the event arguments, and return the next data
+   * (or <tt>undefined</tt> to keep it).
+   *
+   * Options are the ones of <tt>create</tt>, plus the registries <tt>actions</tt> and <tt>guards</tt>.
+   *
+   * @public
+   * @param {Object} config - The FSM configuration
+   * @param {Object} [options] - The creation options and the registries
+   * @return {FSM} The built <tt>FSM</tt>
+   * @throws {InvalidDefinitionError} If the configuration does not match the schema, or uses unknown actions or guards,
+   * with the issues in <tt>errors</tt>, or if the definition is invalid in strict mode
+   */
+  function fromConfig(config, options) {
+    const registry = {
+      actions: options != null && options.actions != null ? options.actions : {},
+      guards: options != null && options.guards != null ? options.guards : {}
+    }
+    const errors = configIssues(config, registry)
+    if (errors.length > 0) {
+      throw new InvalidDefinitionError(
+        'Invalid FSM configuration:\n' + errors.map(error => '- ' + error.message).join('\n'),
+        errors, [])
+    }
+    return create(configInitializer(config, registry), options)
+  }
+
+  /**
+   * The namespace of SCXML documents.
+   */
+  const SCXML_NAMESPACE = 'http://www.w3.org/2005/07/scxml'
+
+  /**
+   * Throws a <tt>SCXMLError</tt> if there are issues.
+   *
+   * @param {string} title - The beginning of the error message
+   * @param {Array} errors - The issues
+   * @throws {SCXMLError} If there are issues
+   */
+  function checkSCXMLIssues(title, errors) {
+    if (errors.length > 0) {
+      throw new SCXMLError(title + ':\n' + errors.map(error => '- ' + error.message).join('\n'), errors)
+    }
+  }
+
+  /**
+   * Parses a XML document into a tree of elements <tt>{name, attributes, children, text, line}</tt>,
+   * where <tt>name</tt> is the local name of the element (without namespace prefix)
+   * and <tt>text</tt> the concatenation of its text content.
+   * Comments, processing instructions and the document type are ignored.
+   * It supports the subset of XML used by SCXML documents, without DOM.
+   *
+   * @param {string} xml - The XML document
+   * @return {Object} The root element
+   * @throws {SCXMLError} If the document is not well-formed
+   */
+  function parseXML(xml) {
+    const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }
+    const decode = text => text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);/g, (entity, code) => {
+      if (code.charAt(0) === '#') {
+        return String.fromCharCode(code.charAt(1) === 'x' ? parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10))
+      }
+      return ENTITIES.hasOwnProperty(code) ? ENTITIES[code] : entity
+    })
+    const document = { name: null, attributes: {}, children: [], text: '', line: 1 }
+    const stack = [document]
+    let index = 0
+    let line = 1
+    const fail = function(message) {
+      checkSCXMLIssues('Invalid SCXML document', [Object.freeze({ code: 'invalid-xml', state: null, event: null, message: message + ' (line ' + line + ')' })])
+    }
+    const moveTo = function(position) {
+      line += xml.substring(index, position).split('\n').length - 1
+      index = position
+    }
+    const skipTo = function(end, name) {
+      const position = xml.indexOf(end, index)
+      if (position < 0) {
+        fail('Unclosed ' + name)
+      }
+      const content = xml.substring(index, position)
+      moveTo(position + end.length)
+      return content
+    }
+
+    while (index < xml.length) {
+      const open = xml.indexOf('<', index)
+      const top = stack[stack.length - 1]
+      top.text += decode(xml.substring(index, open < 0 ? xml.length : open))
+      moveTo(open < 0 ? xml.length : open)
+      if (open < 0) {
+        break
+      } else if (xml.substr(index, 4) === '<!--') {
+        skipTo('-->', 'comment')
+      } else if (xml.substr(index, 9) === '<![CDATA[') {
+        top.text += skipTo(']]>', 'CDATA section').substring(9)
+      } else if (xml.substr(index, 2) === '<?' || xml.substr(index, 2) === '<!') {
+        skipTo('>', 'declaration')
+      } else if (xml.substr(index, 2) === '</') {
+        const name = skipTo('>', 'closing tag').substring(2).trim()
+        if (stack.length === 1 || name !== top.qualifiedName) {
+          fail('Unexpected closing tag </' + name + '>')
+        }
+        stack.pop()
+      } else {
+        const match = /^<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/.exec(xml.substring(index))
+        if (match == null) {
+          fail('Invalid tag')
+        }
+        const element = { qualifiedName: match[1], name: match[1].split(':').pop(), attributes: {}, children: [], text: '', line: line }
+        const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+        let attribute
+        while ((attribute = attributePattern.exec(match[2])) != null) {
+          element.attributes[attribute[1]] = decode(attribute[2] !== undefined ? attribute[2] : attribute[3])
+        }
+        top.children.push(element)
+        moveTo(index + match[0].length)
+        if (match[3] !== '/') {
+          stack.push(element)
+        }
+      }
+    }
+    if (stack.length > 1) {
+      fail('Unclosed element <' + stack[stack.length - 1].qualifiedName + '>')
+    }
+    if (document.children.length !== 1) {
+      fail('The document must have one root element')
+    }
+    return document.children[0]
+  }
+
+  /**
+   * Converts a SCXML document into a FSM configuration, see <tt>fromSCXML</tt>.
+   *
+   * @param {string} xml - The SCXML document
+   * @return {Object} The FSM configuration, see <tt>fromConfig</tt>
+   * @throws {SCXMLError} If the document is not well-formed or uses unsupported features
+   */
+  function scxmlToConfig(xml) {
+    const root = parseXML(xml)
+    const errors = []
+    const unsupported = function(element, message) {
+      errors.push(Object.freeze({ code: 'unsupported-scxml', state: null, event: null, message: message + ' (line ' + element.line + ')' }))
+    }
+    const isState = element => element.name === 'state' || element.name === 'parallel' || element.name === 'final'
+    const checkAttributes = function(element, allowed) {
+      Object.keys(element.attributes).filter(name => allowed.indexOf(name) < 0 && name !== 'xmlns' && name.indexOf('xmlns:') !== 0).forEach(name => {
+        unsupported(element, 'The attribute "' + name + '" of <' + element.name + '> is not supported')
+      })
+    }
+    const relativeName = function(element, parent) {
+      const id = element.attributes.id
+      return parent != null && id.indexOf(parent + SEPARATOR) === 0 ? id.substring(parent.length + 1) : id
+    }
+
+    // Full state names by SCXML identifier, substates being named after their parent state
+    const names = {}
+    const collect = function(elements, parent) {
+      elements.filter(isState).forEach(element => {
+        if (element.attributes.id == null) {
+          unsupported(element, 'The <' + element.name + '> without id is not supported')
+        } else if (element.name === 'parallel') {
+          collect(element.children, parent)
+        } else if (relativeName(element, parent).indexOf(SEPARATOR) >= 0) {
+          unsupported(element, 'The id "' + element.attributes.id + '" contains "' + SEPARATOR + '", which is reserved to substates')
+        } else {
+          const name = parent != null ? parent + SEPARATOR + relativeName(element, parent) : relativeName(element, parent)
+          names[element.attributes.id] = name
+          collect(element.children, name)
+        }
+      })
+    }
+    const resolve = id => names.hasOwnProperty(id) ? names[id] : id
+    const initialOf = function(element, name, id) {
+      if (id == null || resolve(id).indexOf(name + SEPARATOR) !== 0) {
+        unsupported(element, 'The initial state of "' + name + '" must be one of its substates')
+        return undefined
+      }
+      return resolve(id).substring(name.length + 1)
+    }
+
+    const actions = function(element) {
+      return element.children.filter(child => {
+        if (child.name !== 'script' || child.attributes.src != null || child.text.trim() === '') {
+          unsupported(child, 'The executable content <' + child.name + '> is not supported, only <script> with an action name')
+          return false
+        }
+        return true
+      }).map(child => child.text.trim())
+    }
+    const transition = function(element, on) {
+      checkAttributes(element, ['event', 'target', 'cond', 'type'])
+      const events = (element.attributes.event || '').trim().split(/\s+/).filter(event => event !== '')
+      const targets = (element.attributes.target || '').trim().split(/\s+/).filter(target => target !== '')
+      if (events.length === 0) {
+        unsupported(element, 'The <transition> without event is not supported')
+      }
+      if (targets.length !== 1) {
+        unsupported(element, 'The <transition> must have exactly one target')
+      }
+      if (element.attributes.type === 'internal') {
+        unsupported(element, 'The internal <transition> is not supported')
+      }
+      events.filter(event => event !== WILDCARD && event.indexOf(WILDCARD) >= 0).forEach(event => {
+        unsupported(element, 'The event descriptor "' + event + '" is not supported, events are matched by their exact name')
+      })
+      const result = { target: resolve(targets[0]) }
+      if (element.attributes.cond != null) {
+        result.guard = element.attributes.cond
+      }
+      const transitionActions = actions(element)
+      if (transitionActions.length > 0) {
+        result.actions = transitionActions
+      }
+      events.forEach(event => {
+        if (!on.hasOwnProperty(event)) {
+          on[event] = []
+        }
+        on[event].push(result)
+      })
+    }
+    const state = function(element, parent, region) {
+      const name = parent != null ? parent + SEPARATOR + relativeName(element, parent) : relativeName(element, parent)
+      const config = {}
+      const on = {}
+      const states = {}
+      checkAttributes(element, ['id', 'initial'])
+      if (region) {
+        config.region = true
+      }
+      if (element.name === 'final') {
+        config.final = true
+      }
+      if (element.attributes.initial != null) {
+        config.initial = initialOf(element, name, element.attributes.initial.trim())
+      }
+      element.children.forEach(child => {
+        if (child.name === 'state' || child.name === 'final') {
+          if (child.attributes.id != null && names.hasOwnProperty(child.attributes.id)) {
+            states[relativeName(child, name)] = state(child, name, false)
+          }
+        } else if (child.name === 'initial' && child.children.length === 1 && child.children[0].name === 'transition') {
+          config.initial = initialOf(child, name, child.children[0].attributes.target)
+        } else if (child.name === 'transition') {
+          transition(child, on)
+        } else if (child.name === 'onentry' || child.name === 'onexit') {
+          const key = child.name === 'onentry' ? 'onEnter' : 'onExit'
+          config[key] = (config[key] || []).concat(actions(child))
+        } else {
+          unsupported(child, 'The element <' + child.name + '> is not supported in <' + element.name + '>')
+        }
+      })
+      Object.keys(on).forEach(event => {
+        const transitions = on[event]
+        if (transitions.length === 1 && Object.keys(transitions[0]).length === 1) {
+          on[event] = transitions[0].target
+        } else if (transitions.length === 1) {
+          on[event] = transitions[0]
+        }
+      })
+      if (Object.keys(on).length > 0) {
+        config.on = on
+      }
+      if (Object.keys(states).length > 0) {
+        config.states = states
+      }
+      return config
+    }
+    const data = function(element) {
+      const result = {}
+      element.children.forEach(child => {
+        const source = child.attributes.expr != null ? child.attributes.expr : child.text.trim()
+        if (child.name !== 'data' || child.attributes.id == null || child.attributes.src != null) {
+          unsupported(child, 'The element <' + child.name + '> is not supported in <datamodel>, only <data> with an id and a JSON value')
+        } else {
+          try {
+            result[child.attributes.id] = JSON.parse(source)
+          } catch (error) {
+            unsupported(child, 'The value of <data id="' + child.attributes.id + '"> is not supported, only JSON values')
+          }
+        }
+      })
+      return result
+    }
+
+    if (root.name !== 'scxml') {
+      unsupported(root, 'The root element must be <scxml>, not <' + root.name + '>')
+      checkSCXMLIssues('Unsupported SCXML features', errors)
+    }
+    checkAttributes(root, ['initial', 'version', 'name', 'datamodel', 'binding'])
+    collect(root.children, null)
+    const config = { initial: null, states: {} }
+    const parallels = root.children.filter(child => child.name === 'parallel')
+    root.children.forEach(child => {
+      if (child.name === 'state' || child.name === 'final') {
+        if (child.attributes.id != null && names.hasOwnProperty(child.attributes.id)) {
+          config.states[relativeName(child, null)] = state(child, null, false)
+        }
+      } else if (child.name === 'parallel' && root.children.filter(isState).length === 1) {
+        checkAttributes(child, ['id'])
+        child.children.forEach(region => {
+          if (region.name === 'state' && names.hasOwnProperty(region.attributes.id)) {
+            config.states[relativeName(region, null)] = state(region, null, true)
+          } else if (region.name !== 'state') {
+            unsupported(region, 'The element <' + region.name + '> is not supported in <parallel>, only <state>')
+          }
+        })
+      } else if (child.name === 'parallel') {
+        unsupported(child, 'The <parallel> is only supported as the only state of the document')
+      } else if (child.name === 'datamodel') {
+        config.data = data(child)
+      } else {
+        unsupported(child, 'The element <' + child.name + '> is not supported in <scxml>')
+      }
+    })
+    if (parallels.length === 0) {
+      const initial = root.attributes.initial != null ? root.attributes.initial.trim() : Object.keys(config.states)[0]
+      config.initial = initial != null ? resolve(initial) : null
+    }
+    checkSCXMLIssues('Unsupported SCXML features', errors)
+    return config
+  }
+
+  /**
+   * Converts a FSM configuration into a SCXML document, see <tt>FSM.toSCXML</tt>.
+   *
+   * @param {Object} config - The FSM configuration, see <tt>fromConfig</tt>
+   * @param {Array} [issues] - Issues already found, reported with the ones of the configuration
+   * @return {string} The SCXML document
+   * @throws {SCXMLError} If the configuration uses features which cannot be written in SCXML
+   */
+  function configToSCXML(config, issues) {
+    const errors = issues != null ? issues.slice() : []
+    const unsupported = function(state, message) {
+      errors.push(Object.freeze({ code: 'unsupported-scxml', state: state, event: null, message: message }))
+    }
+    const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+    const attributes = values => Object.keys(values).filter(name => values[name] != null).map(name => ' ' + name + '="' + escape(values[name]) + '"').join('')
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>']
+    const scripts = (element, names, indent) => {
+      if (names != null && names.length > 0) {
+        lines.push(indent + '<' + element + '>')
+        names.forEach(name => lines.push(indent + '  <script>' + escape(name) + '</script>'))
+        lines.push(indent + '</' + element + '>')
+      }
+    }
+    const write = function(name, state, initial, indent) {
+      const element = state.final === true && state.on == null && state.states == null ? 'final' : 'state'
+      if (state.timeout !== undefined || state.pending !== undefined) {
+        unsupported(name, 'The ' + (state.timeout !== undefined ? 'timeout' : 'pending state') + ' of the state "' + name + '" cannot be written in SCXML')
+      }
+      if (state.data !== undefined) {
+        unsupported(name, 'The data schema of the state "' + name + '" cannot be written in SCXML')
+      }
+      if (state.final === true && element !== 'final') {
+        unsupported(name, 'The final state "' + name + '" has transitions or substates, which cannot be written in SCXML')
+      }
+      const children = Object.keys(state.states || {})
+      const initialChild = initial != null ? initial : state.initial
+      const head = indent + '<' + element + attributes({ id: name, initial: initialChild != null ? name + SEPARATOR + initialChild : null })
+      if (state.onEnter == null && state.onExit == null && state.on == null && children.length === 0) {
+        lines.push(head + '/>')
+        return
+      }
+      lines.push(head + '>')
+      scripts('onentry', state.onEnter, indent + '  ')
+      scripts('onexit', state.onExit, indent + '  ')
+      const on = state.on || {}
+      Object.keys(on).forEach(event => {
+        const transitions = typeof on[event] === 'string' ? [{ target: on[event] }] : [].concat(on[event])
+        transitions.forEach(transition => {
+          const head = indent + '  <transition' + attributes({ event: event, cond: transition.guard, target: transition.target })
+          if (transition.actions != null && transition.actions.length > 0) {
+            lines.push(head + '>')
+            transition.actions.forEach(action => lines.push(indent + '    <script>' + escape(action) + '</script>'))
+            lines.push(indent + '  </transition>')
+          } else {
+            lines.push(head + '/>')
+          }
+        })
+      })
+      children.forEach(child => write(name + SEPARATOR + child, state.states[child], null, indent + '  '))
+      lines.push(indent + '</' + element + '>')
+    }
+
+    const regions = Object.keys(config.states).filter(name => config.states[name].region === true)
+    if (config.version !== undefined) {
+      unsupported(null, 'The version of the definition cannot be written in SCXML')
+    }
+    lines.push('<scxml' + attributes({
+      xmlns: SCXML_NAMESPACE,
+      version: '1.0',
+      initial: regions.length === 0 && typeof config.initial === 'string' ? config.initial : null
+    }) + '>')
+    if (config.data != null) {
+      if (typeof config.data !== 'object' || Array.isArray(config.data)) {
+        unsupported(null, 'The initial data must be an object to be written in SCXML')
+      } else if (Object.keys(config.data).length > 0) {
+        lines.push('  <datamodel>')
+        Object.keys(config.data).forEach(id => lines.push('    <data' + attributes({ id: id, expr: JSON.stringify(config.data[id]) }) + '/>'))
+        lines.push('  </datamodel>')
+      }
+    }
+    if (regions.length > 0) {
+      lines.push('  <parallel id="regions">')
+      regions.forEach(region => {
+        const initial = config.initial != null && config.initial.hasOwnProperty(region) ? config.initial[region] : null
+        write(region, config.states[region], initial, '    ')
+      })
+      lines.push('  </parallel>')
+    } else {
+      Object.keys(config.states).forEach(name => write(name, config.states[name], null, '  '))
+    }
+    lines.push('</scxml>')
+    checkSCXMLIssues('The FSM cannot be written in SCXML', errors)
+    return lines.join('\n') + '\n'
+  }
+
+  /**
+   * Creates a new FSM from a W3C SCXML document, without DOM.
+   * The document is converted into a configuration (see <tt>fromConfig</tt>), which supports:
+   * <ul>
+   *   <li><tt>&lt;state&gt;</tt> and <tt>&lt;final&gt;</tt> elements, with their <tt>initial</tt> attribute or <tt>&lt;initial&gt;</tt> element.
+   *   Substates are named after their parent state: <tt>&lt;state id="draft"&gt;</tt> in <tt>&lt;state id="editing"&gt;</tt> is the state <tt>'editing.draft'</tt>
+   *   (an id may already contain this prefix, as <tt>id="editing.draft"</tt>);</li>
+   *   <li>a <tt>&lt;parallel&gt;</tt> element, if it is the only state of the document, whose states become regions (see <tt>FSMBuilder.region</tt>);</li>
+   *   <li><tt>&lt;transition&gt;</tt> elements with events, one target and a condition, which is the name of a guard in the registry.
+   *   Events are matched by their exact name, or <tt>'*'</tt> for any event;</li>
+   *   <li><tt>&lt;onentry&gt;</tt>, <tt>&lt;onexit&gt;</tt> and transition contents made of <tt>&lt;script&gt;</tt> elements,
+   *   whose text is the name of an action in the registry;</li>
+   *   <li>a top-level <tt>&lt;datamodel&gt;</tt> of <tt>&lt;data&gt;</tt> elements with JSON values, which becomes the initial data.</li>
+   * </ul>
+   * Other elements and attributes are reported as unsupported, with their line.
+   *
+   * @public
+   * @param {string} xml - The SCXML document
+   * @param {Object} [registry] - The registries <tt>actions</tt> and <tt>guards</tt>, and other creation options, see <tt>fromConfig</tt>
+   * @return {FSM} The built <tt>FSM</tt>
+   * @throws {SCXMLError} If the document is not well-formed or uses unsupported features, with the issues in <tt>errors</tt>
+   * @throws {InvalidDefinitionError} If the document uses unknown actions or guards, or if the definition is invalid in strict mode
+   */
+  function fromSCXML(xml, registry) {
+    return fromConfig(scxmlToConfig(xml), registry)
+  }
+
+  /**
+   * Calls the next middleware, then the callback once its result is settled, and returns this result.
+   *
+   * @param {function} next - The next middleware
+   * @param {function} callback - Called with <tt>true</tt> and the error if it failed, else with <tt>false</tt> and the next state and data
+   * @return {Array|Promise} The result of the next middleware
+   */
+  function afterNext(next, callback) {
+    let result
+    try {
+      result = next()
+    } catch (error) {
+      callback(true, error)
+      throw error
+    }
+    if (isThenable(result)) {
+      return result.then(value => {
+        callback(false, value)
+        return value
+      }, error => {
+        callback(true, error)
+        throw error
+      })
+    }
+    callback(false, result)
+    return result
+  }
+
+  /**
+   * Creates a middleware logging each event with the next state, or its error (see <tt>FSMBuilder.use</tt>).
+   *
+   * @public
+   * @param {function} [log] - The function writing messages, <tt>console.log</tt> by default
+   * @return {function} The middleware
+   */
+  function logger(log) {
+    const write = log != null ? log : message => console.log(message)
+    return function(ctx, next) {
+      const prefix = 'Event "' + ctx.event + '" in state "' + ctx.state + '"'
+      return afterNext(next, (failed, value) => {
+        if (failed) {
+          write(prefix + ' failed: ' + (value != null && value.message != null ? value.message : value))
+        } else {
+          write(prefix + ' goes to state "' + (value != null ? value[0] : value) + '"')
+        }
+      })
+    }
+  }
+
+  /**
+   * Creates a middleware measuring the duration of each handler, until its <tt>Promise</tt> is settled if it is asynchronous
+   * (see <tt>FSMBuilder.use</tt>).
+   * The report function is called with an object <tt>{event, state, duration, failed}</tt>, where the duration is in milliseconds.
+   *
+   * @public
+   * @param {function} report - The function receiving measures
+   * @return {function} The middleware
+   */
+  function timing(report) {
+    return function(ctx, next) {
+      const start = Date.now()
+      return afterNext(next, failed => report({
+        "event": ctx.event,
+        "state": ctx.state,
+        "duration": Date.now() - start,
+        "failed": failed
+      }))
     }
+  }
 
-    // Public interface
-    k.fsm.create = create
-  })(k.fsm || (k.fsm = {}))
-})(window.k || (window.k = {}))
+  return {
+    define: define,
+    create: create,
+    restore: restore,
+    replay: replay,
+    system: system,
+    fromConfig: fromConfig,
+    configSchema: CONFIG_SCHEMA,
+    fromSCXML: fromSCXML,
+    logger: logger,
+    timing: timing,
+    StateTimeout: STATE_TIMEOUT,
+    Done: DONE,
+    ManualClock: ManualClock,
+    FSMError: FSMError,
+    UnknownEventError: UnknownEventError,
+    NoMatchingGuardError: NoMatchingGuardError,
+    InvalidHandlerResultError: InvalidHandlerResultError,
+    InvalidDataError: InvalidDataError,
+    UnknownStateError: UnknownStateError,
+    QueueOverflowError: QueueOverflowError,
+    StashOverflowError: StashOverflowError,
+    TransitionCancelledError: TransitionCancelledError,
+    FSMStoppedError: FSMStoppedError,
+    EventVetoedError: EventVetoedError,
+    InvalidDefinitionError: InvalidDefinitionError,
+    InvalidSnapshotError: InvalidSnapshotError,
+    SCXMLError: SCXMLError,
+    FSM: FSM,
+    Definition: Definition,
+    ActorSystem: ActorSystem,
+    FSMBuilder: FSMBuilder,
+    StateBuilder: StateBuilder
+  }
+})
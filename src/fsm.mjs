@@ -0,0 +1,40 @@
+/**
+ * ES module entry point.
+ * It re-exports the universal module so that <tt>import { create } from 'fms-js'</tt> works.
+ */
+import fsm from './fsm.js'
+
+export const define = fsm.define
+export const create = fsm.create
+export const restore = fsm.restore
+export const replay = fsm.replay
+export const system = fsm.system
+export const fromConfig = fsm.fromConfig
+export const configSchema = fsm.configSchema
+export const fromSCXML = fsm.fromSCXML
+export const logger = fsm.logger
+export const timing = fsm.timing
+export const StateTimeout = fsm.StateTimeout
+export const Done = fsm.Done
+export const ManualClock = fsm.ManualClock
+export const FSMError = fsm.FSMError
+export const UnknownEventError = fsm.UnknownEventError
+export const NoMatchingGuardError = fsm.NoMatchingGuardError
+export const InvalidHandlerResultError = fsm.InvalidHandlerResultError
+export const InvalidDataError = fsm.InvalidDataError
+export const UnknownStateError = fsm.UnknownStateError
+export const QueueOverflowError = fsm.QueueOverflowError
+export const StashOverflowError = fsm.StashOverflowError
+export const TransitionCancelledError = fsm.TransitionCancelledError
+export const FSMStoppedError = fsm.FSMStoppedError
+export const EventVetoedError = fsm.EventVetoedError
+export const InvalidDefinitionError = fsm.InvalidDefinitionError
+export const InvalidSnapshotError = fsm.InvalidSnapshotError
+export const SCXMLError = fsm.SCXMLError
+export const FSM = fsm.FSM
+export const Definition = fsm.Definition
+export const ActorSystem = fsm.ActorSystem
+export const FSMBuilder = fsm.FSMBuilder
+export const StateBuilder = fsm.StateBuilder
+
+export default fsm
@@ -0,0 +1,117 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+
+/**
+ * Builds a lift machine recording every entry and exit action in <tt>calls</tt>.
+ */
+function lift(calls) {
+  return fsm.create(function(fsm) {
+    fsm.startWith('down', { floor: 0 })
+
+    fsm.when('up', function(state) {
+      state.onEnter(function(oldData, newData, event) {
+        calls.push(['enter up', oldData, newData, event])
+      })
+      state.onExit(function(oldData, newData, event) {
+        calls.push(['exit up', oldData, newData, event])
+      })
+      state.on('go down', function() {
+        return ['down', { floor: 0 }]
+      })
+    })
+
+    fsm.when('down', function(state) {
+      state.onEnter(function(oldData, newData, event) {
+        calls.push(['enter down', oldData, newData, event])
+      })
+      state.onExit(function(oldData, newData, event) {
+        calls.push(['exit down', oldData, newData, event])
+      })
+      state.on('go up', function() {
+        return ['up', { floor: 1 }]
+      })
+      state.on('go down', function(data) {
+        return ['down', data]
+      })
+    })
+
+    fsm.onStateChanged(function(oldState, newState) {
+      calls.push(['changed', oldState, newState])
+    })
+  })
+}
+
+describe('entry and exit actions', function() {
+  it('calls entry actions of the initial state when the FSM is created', function() {
+    const calls = []
+    lift(calls)
+    assert.deepStrictEqual(calls, [['enter down', undefined, { floor: 0 }, null]])
+  })
+
+  it('calls exit then entry actions with old and new data and the event name', function() {
+    const calls = []
+    const machine = lift(calls)
+    calls.length = 0
+    machine.fire('go up')
+    assert.deepStrictEqual(calls, [
+      ['exit down', { floor: 0 }, { floor: 1 }, 'go up'],
+      ['enter up', { floor: 0 }, { floor: 1 }, 'go up'],
+      ['changed', 'down', 'up']
+    ])
+  })
+
+  it('does not call actions when the state name does not change', function() {
+    const calls = []
+    const machine = lift(calls)
+    calls.length = 0
+    machine.fire('go down')
+    assert.deepStrictEqual(calls, [])
+  })
+
+  it('calls several actions in declaration order with the FSM as this', function() {
+    const calls = []
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith('a', null)
+      fsm.when('a', function(state) {
+        state.on('go', function(data) {
+          return ['b', data]
+        })
+      })
+      fsm.when('b', function(state) {
+        state
+          .onEnter(function() {
+            calls.push(['first', this])
+          })
+          .onEnter(function() {
+            calls.push(['second', this])
+          })
+      })
+    })
+    machine.fire('go')
+    assert.deepStrictEqual(calls, [['first', machine], ['second', machine]])
+  })
+
+  it('runs execute callbacks registered by actions after the transition', function() {
+    const calls = []
+    fsm.create(function(fsm) {
+      fsm.startWith('a', null)
+      fsm.when('a', function(state) {
+        state.onEnter(function() {
+          this.execute(function() {
+            calls.push('execute')
+          })
+          calls.push('enter')
+        })
+      })
+    })
+    assert.deepStrictEqual(calls, ['enter', 'execute'])
+  })
+
+  it('counts actions in describe', function() {
+    const description = lift([]).describe(false)
+    assert.strictEqual(description.states[0]['onEnter actions'], 1)
+    assert.strictEqual(description.states[0]['onExit actions'], 1)
+  })
+})
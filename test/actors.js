@@ -0,0 +1,171 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+const ManualClock = fsm.ManualClock
+
+/**
+ * Defines a connection which tells the document when it is online.
+ */
+function connection(clock) {
+  return fsm.define(function(fsm) {
+    fsm.withClock(clock)
+    fsm.startWith('offline', null)
+    fsm.when('offline', function(state) {
+      state.on('connect', function() {
+        this.sendTo('document', 'online')
+        return this.goto('online')
+      })
+    })
+    fsm.when('online', function() {})
+  })
+}
+
+/**
+ * Defines a document which spawns an upload when saved online, and fails on "corrupt".
+ * Entry actions are logged in the given array.
+ */
+function document(clock, log) {
+  return fsm.define(function(fsm) {
+    fsm.withClock(clock)
+    fsm.startWith('offline', [])
+    fsm.when('offline', function(state) {
+      state.onEnter(() => log.push('enter offline'))
+      state.on('online', function() {
+        return this.goto('online')
+      })
+    })
+    fsm.when('online', function(state) {
+      state.on('save', function(data, content) {
+        const upload = this.spawn('upload ' + content, uploadDefinition(clock), { data: content })
+        this.sendTo(upload, 'start')
+        return this.stay()
+      })
+      state.on('uploaded', function(data, content) {
+        return this.stay().using(data.concat([content]))
+      })
+    })
+    fsm.whenUnhandled(function(data, event) {
+      if (event.name === 'corrupt') {
+        throw new Error('corrupted')
+      }
+      return [event.state, data]
+    })
+  })
+}
+
+function uploadDefinition(clock) {
+  return fsm.define(function(fsm) {
+    fsm.withClock(clock)
+    fsm.startWith('idle', null)
+    fsm.when('idle', function(state) {
+      state.on('start', function(data) {
+        this.sendTo(this.parent, 'uploaded', data)
+        return this.stop('uploaded')
+      })
+    })
+  })
+}
+
+describe('actor system', function() {
+  it('delivers sent events to named actors in order', function() {
+    const clock = new ManualClock()
+    const system = fsm.system()
+    const doc = system.spawn('document', document(clock, []))
+    const conn = system.spawn('connection', connection(clock))
+    assert.deepStrictEqual(system.names(), ['document', 'connection'])
+    conn.fire('connect')
+    assert.strictEqual(doc.state, 'offline')
+    clock.advance(0)
+    assert.strictEqual(doc.state, 'online')
+    assert.strictEqual(system.actor('connection'), conn)
+    assert.strictEqual(system.actor('upload'), null)
+  })
+
+  it('spawns children from handlers', function() {
+    const clock = new ManualClock()
+    const system = fsm.system()
+    const doc = system.spawn('document', document(clock, []), { state: 'online' })
+    system.send('document', 'save', 'a').send('document', 'save', 'b')
+    clock.advance(0)
+    assert.deepStrictEqual(doc.data, ['a', 'b'])
+    assert.deepStrictEqual(system.names(), ['document'])
+  })
+
+  it('stops children with their parent', function() {
+    const clock = new ManualClock()
+    const system = fsm.system()
+    const doc = system.spawn('document', document(clock, []))
+    const upload = doc.spawn('upload', uploadDefinition(clock), { data: 'a' })
+    assert.strictEqual(upload.parent, doc)
+    assert.deepStrictEqual(doc.children, [upload])
+    assert.deepStrictEqual(doc.describe(false).actor, { name: 'document', parent: null, children: ['upload'] })
+    doc.stop('closed')
+    assert.ok(upload.stopped)
+    assert.deepStrictEqual(system.names(), [])
+  })
+
+  it('restarts failing actors by default', function() {
+    const log = []
+    const clock = new ManualClock()
+    const system = fsm.system()
+    const doc = system.spawn('document', document(clock, log))
+    doc.fire('online')
+    doc.fire('corrupt')
+    assert.strictEqual(doc.state, 'offline')
+    assert.deepStrictEqual(log, ['enter offline', 'enter offline'])
+    system.send('document', 'corrupt').send('document', 'online')
+    clock.advance(0)
+    assert.strictEqual(doc.state, 'online')
+  })
+
+  it('stops failing actors', function() {
+    const system = fsm.system({ supervision: 'stop' })
+    const doc = system.spawn('document', document(new ManualClock(), []))
+    doc.fire('corrupt')
+    assert.ok(doc.stopped)
+    return doc.done.then(termination => assert.strictEqual(termination.reason.message, 'corrupted'))
+  })
+
+  it('escalates errors to the parent, then out of the system', function() {
+    const directives = []
+    const clock = new ManualClock()
+    const system = fsm.system()
+    const parent = system.spawn('document', document(clock, []), {
+      supervision: function(error, actor) {
+        directives.push(actor.name + ': ' + error.message)
+        return 'stop'
+      }
+    })
+    const child = parent.spawn('child', document(clock, []), { supervision: 'escalate' })
+    child.fire('corrupt')
+    assert.deepStrictEqual(directives, ['document: corrupted'])
+    assert.ok(parent.stopped)
+    assert.ok(child.stopped)
+
+    const orphan = system.spawn('orphan', document(clock, []), { supervision: 'escalate' })
+    assert.throws(() => orphan.fire('corrupt'), /corrupted/)
+  })
+
+  it('refuses duplicate names, unknown actors and unknown supervisions', function() {
+    const system = fsm.system()
+    system.spawn('document', document(new ManualClock(), []))
+    assert.throws(() => system.spawn('document', document(new ManualClock(), [])), RangeError)
+    assert.throws(() => system.send('upload', 'start'), RangeError)
+    assert.throws(() => system.actor('document').sendTo('upload', 'start'), RangeError)
+    assert.throws(() => system.spawn('other', document(new ManualClock(), []), { supervision: 'resume' }), RangeError)
+    assert.throws(() => fsm.system({ supervision: 'resume' }), RangeError)
+    assert.throws(() => fsm.create(function(fsm) {
+      fsm.startWith('idle', null)
+      fsm.when('idle', function() {})
+    }).spawn('child', function() {}), fsm.FSMError)
+  })
+
+  it('stops all actors', function() {
+    const system = fsm.system()
+    const doc = system.spawn('document', document(new ManualClock(), []))
+    system.stop('shutdown')
+    assert.ok(doc.stopped)
+    assert.deepStrictEqual(system.names(), [])
+  })
+})
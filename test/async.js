@@ -0,0 +1,180 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+
+/**
+ * Returns a promise and the functions to settle it.
+ */
+function deferred() {
+  const result = {}
+  result.promise = new Promise(function(resolve, reject) {
+    result.resolve = resolve
+    result.reject = reject
+  })
+  return result
+}
+
+/**
+ * Builds an upload machine whose <tt>upload</tt> handler waits for the given deferred.
+ */
+function uploader(upload, calls, options) {
+  return fsm.create(function(fsm) {
+    fsm.startWith('idle', { files: [] })
+    fsm.when('idle', options || {}, function(state) {
+      state.on('upload', function(data, file) {
+        const signal = this.signal
+        calls.push(['upload', file])
+        return upload.promise.then(function() {
+          calls.push(['uploaded', file, signal.aborted])
+          return ['idle', { files: data.files.concat([file]) }]
+        })
+      })
+      state.on('log', function(data, text) {
+        calls.push(['log', text])
+        return ['idle', data]
+      })
+    })
+    fsm.when('uploading', function(state) {
+      state.on('cancel', function(data) {
+        return ['idle', data]
+      })
+    })
+  })
+}
+
+describe('asynchronous handlers', function() {
+  it('returns a promise resolved with the FSM after the transition', function() {
+    const upload = deferred()
+    const calls = []
+    const machine = uploader(upload, calls)
+    const result = machine.fire('upload', 'a.png')
+    assert.ok(result instanceof Promise)
+    assert.deepStrictEqual(machine.data, { files: [] })
+    upload.resolve()
+    return result.then(function(value) {
+      assert.strictEqual(value, machine)
+      assert.deepStrictEqual(machine.data, { files: ['a.png'] })
+    })
+  })
+
+  it('serializes incoming events while a transition is pending', function() {
+    const upload = deferred()
+    const calls = []
+    const machine = uploader(upload, calls)
+    const first = machine.fire('upload', 'a.png')
+    const second = machine.fire('log', 'queued')
+    const third = machine.fire('upload', 'b.png')
+    assert.deepStrictEqual(calls, [['upload', 'a.png']])
+    assert.strictEqual(machine.describe(false)['pending transition'], 'upload')
+    upload.resolve()
+    return Promise.all([first, second, third]).then(function() {
+      assert.deepStrictEqual(calls, [
+        ['upload', 'a.png'],
+        ['uploaded', 'a.png', false],
+        ['log', 'queued'],
+        ['upload', 'b.png'],
+        ['uploaded', 'b.png', false]
+      ])
+      assert.deepStrictEqual(machine.data, { files: ['a.png', 'b.png'] })
+    })
+  })
+
+  it('does not report unhandled rejections for events cancelled by stop', function() {
+    const rejections = []
+    const listener = reason => rejections.push(reason)
+    process.on('unhandledRejection', listener)
+    const machine = uploader(deferred(), [])
+    machine.fire('upload', 'a.png')
+    machine.fire('upload', 'b.png')
+    machine.stop()
+    return new Promise(resolve => setImmediate(resolve)).then(function() {
+      process.removeListener('unhandledRejection', listener)
+      assert.deepStrictEqual(rejections, [])
+      assert.strictEqual(machine.stopped, true)
+    })
+  })
+
+  it('keeps returning the FSM for synchronous handlers', function() {
+    const machine = uploader(deferred(), [])
+    assert.strictEqual(machine.fire('log', 'sync'), machine)
+  })
+
+  it('gives asynchronous errors to the error policy', function() {
+    const upload = deferred()
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith('idle', null)
+      fsm.when('idle', function(state) {
+        state.on('upload', function() {
+          return upload.promise
+        })
+      })
+      fsm.when('failed', function() {})
+      fsm.onError(function(error) {
+        return ['failed', error.message]
+      })
+    })
+    const result = machine.fire('upload')
+    upload.reject(new Error('network'))
+    return result.then(function() {
+      assert.strictEqual(machine.state, 'failed')
+      assert.strictEqual(machine.data, 'network')
+    })
+  })
+
+  it('rejects the promise when the asynchronous result is invalid', function() {
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith('idle', null)
+      fsm.when('idle', function(state) {
+        state.on('upload', function(data) {
+          return Promise.resolve(['nowhere', data])
+        })
+      })
+    })
+    return machine.fire('upload').then(function() {
+      assert.fail('The promise should be rejected')
+    }, function(error) {
+      assert.ok(error instanceof fsm.UnknownStateError)
+      assert.strictEqual(machine.state, 'idle')
+    })
+  })
+
+  describe('pending state', function() {
+    it('waits in the pending state and handles its events', function() {
+      const upload = deferred()
+      const calls = []
+      const machine = uploader(upload, calls, { pending: 'uploading' })
+      const result = machine.fire('upload', 'a.png')
+      assert.strictEqual(machine.state, 'uploading')
+      assert.ok(machine.can('cancel'))
+      upload.resolve()
+      return result.then(function() {
+        assert.strictEqual(machine.state, 'idle')
+        assert.deepStrictEqual(machine.data, { files: ['a.png'] })
+      })
+    })
+
+    it('cancels the transition when the pending state is left', function() {
+      const upload = deferred()
+      const calls = []
+      const machine = uploader(upload, calls, { pending: 'uploading' })
+      const result = machine.fire('upload', 'a.png')
+      machine.fire('cancel')
+      assert.strictEqual(machine.state, 'idle')
+      upload.resolve()
+      return result.then(function() {
+        assert.fail('The promise should be rejected')
+      }, function(error) {
+        assert.ok(error instanceof fsm.TransitionCancelledError)
+        assert.strictEqual(error.event, 'upload')
+        assert.deepStrictEqual(calls, [['upload', 'a.png'], ['uploaded', 'a.png', true]])
+        assert.deepStrictEqual(machine.data, { files: [] })
+      })
+    })
+
+    it('shows the pending state in describe', function() {
+      const states = uploader(deferred(), [], { pending: 'uploading' }).describe(false).states
+      assert.deepStrictEqual(states.map(state => state.pending), ['uploading', null])
+    })
+  })
+})
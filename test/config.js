@@ -0,0 +1,158 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+const configSchema = fsm.configSchema
+
+const workflow = {
+  initial: 'draft',
+  data: { reviews: 0, log: [] },
+  version: 2,
+  states: {
+    draft: {
+      onExit: ['logExit'],
+      on: {
+        submit: { target: 'review', guard: 'isComplete' },
+        cancel: 'closed'
+      }
+    },
+    review: {
+      timeout: 1000,
+      on: {
+        validate: [
+          { target: 'published', guard: 'isApproved', actions: ['countReview', 'logReview'] },
+          { target: 'draft', actions: ['countReview'] }
+        ]
+      }
+    },
+    published: { final: true },
+    closed: {
+      initial: 'archived',
+      states: {
+        archived: {}
+      }
+    }
+  }
+}
+
+const registry = {
+  actions: {
+    logExit: function(oldData, newData, eventName) {
+      newData.log.push('exit draft on ' + eventName)
+    },
+    countReview: function(data) {
+      return { reviews: data.reviews + 1, log: data.log }
+    },
+    logReview: function(data, approvals) {
+      return { reviews: data.reviews, log: data.log.concat(['approved by ' + approvals]) }
+    }
+  },
+  guards: {
+    isComplete: function(data, complete) {
+      return complete === true
+    },
+    isApproved: function(data, approvals) {
+      return approvals >= 2
+    }
+  }
+}
+
+describe('configuration', function() {
+  it('builds the FSM described by the configuration', function() {
+    const machine = fsm.fromConfig(workflow, registry)
+    assert.strictEqual(machine.state, 'draft')
+    assert.throws(() => machine.fire('submit', false), fsm.NoMatchingGuardError)
+    machine.fire('submit', true)
+    assert.strictEqual(machine.state, 'review')
+    assert.deepStrictEqual(machine.data.log, ['exit draft on submit'])
+    machine.fire('validate', 1)
+    assert.strictEqual(machine.state, 'draft')
+    machine.fire('submit', true).fire('validate', 2)
+    assert.strictEqual(machine.state, 'published')
+    assert.deepStrictEqual(machine.data, { reviews: 2, log: ['exit draft on submit', 'exit draft on submit', 'approved by 2'] })
+  })
+
+  it('declares substates, options and transitions', function() {
+    const machine = fsm.fromConfig(workflow, registry)
+    const description = machine.describe(false)
+    assert.strictEqual(description.version, 2)
+    assert.strictEqual(description.states[1].timeout, 1000)
+    assert.deepStrictEqual(description.states[1].guards, { validate: ['isApproved'] })
+    assert.deepStrictEqual(description.states[0].transitions, { submit: ['review'], cancel: ['closed'] })
+    assert.strictEqual(machine.fire('cancel').state, 'closed.archived')
+    assert.deepStrictEqual(machine.validate().errors, [])
+  })
+
+  it('round-trips through toConfig', function() {
+    const config = fsm.fromConfig(workflow, registry).toConfig()
+    assert.deepStrictEqual(config, workflow)
+    assert.deepStrictEqual(fsm.fromConfig(config, registry).toConfig(), workflow)
+  })
+
+  it('refuses toConfig for FSM not built from a configuration', function() {
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith('a', null)
+      fsm.when('a', function() {})
+    })
+    assert.throws(() => machine.toConfig(), fsm.FSMError)
+  })
+
+  it('reports configurations which do not match the schema', function() {
+    try {
+      fsm.fromConfig({
+        initial: 'a',
+        states: {
+          a: {
+            timeout: 'soon',
+            entry: ['x'],
+            on: {
+              go: { to: 'b' },
+              back: [{ target: 'a', guard: 'ready', actions: ['reset'] }]
+            }
+          }
+        }
+      }, registry)
+      assert.fail('the configuration should be refused')
+    } catch (error) {
+      assert.ok(error instanceof fsm.InvalidDefinitionError)
+      assert.deepStrictEqual(error.errors.map(issue => [issue.code, issue.message]), [
+        ['invalid-config', 'config.states.a.timeout must be of type number, found string'],
+        ['invalid-config', 'config.states.a.entry is not allowed'],
+        ['invalid-config', 'config.states.a.on.go.target is required'],
+        ['invalid-config', 'config.states.a.on.go.to is not allowed'],
+        ['unknown-guard', 'The guard "ready" of config.states.a.on.back[0] is not registered'],
+        ['unknown-action', 'The action "reset" of config.states.a.on.back[0].actions is not registered']
+      ])
+    }
+  })
+
+  it('publishes the schema of configurations', function() {
+    assert.deepStrictEqual(fsm.configSchema.required, ['initial', 'states'])
+    assert.ok(Object.isFrozen(fsm.configSchema.definitions.transition))
+  })
+
+  it('refuses with the published schema the configurations refused by fromConfig', function() {
+    const invalid = [
+      'draft',
+      { states: {} },
+      { initial: 'a', states: { a: {} }, extra: true },
+      { initial: { left: 1 }, states: {} },
+      { initial: 'a', states: { a: { timeout: -1 } } },
+      { initial: 'a', states: { a: { final: 'yes' } } },
+      { initial: 'a', states: { a: { onEnter: 'logExit' } } },
+      { initial: 'a', states: { a: { on: { go: 1 } } } },
+      { initial: 'a', states: { a: { on: { go: [{ target: 'a' }, 'a'] } } } },
+      { initial: 'a', states: { a: { states: { b: { on: { go: { target: 'a', guard: 1 } } } } } } }
+    ]
+    // States check their data with the same schema validator as fromConfig
+    const stored = config => fsm.create(function(fsm) {
+      fsm.startWith('stored', config)
+      fsm.when('stored', { data: configSchema }, function() {})
+    })
+    assert.doesNotThrow(() => stored(workflow))
+    invalid.forEach(config => {
+      assert.throws(() => fsm.fromConfig(config, registry), fsm.InvalidDefinitionError)
+      assert.throws(() => stored(config), fsm.InvalidDataError, JSON.stringify(config) + ' should not match the schema')
+    })
+  })
+})
@@ -0,0 +1,107 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+const InvalidDataError = fsm.InvalidDataError
+
+const COLOR = {
+  type: 'object',
+  required: ['color', 'colorIndex'],
+  additionalProperties: false,
+  properties: {
+    color: { enum: ['red', 'green', 'blue'] },
+    colorIndex: { type: 'integer', minimum: 0, maximum: 2 }
+  }
+}
+
+/**
+ * Builds the lift of the samples, whose data is checked in state "down".
+ */
+function lift(initialData) {
+  return fsm.create(function(fsm) {
+    fsm.startWith('down', initialData)
+    fsm.when('down', { data: COLOR }, function(state) {
+      state.on('change', function(data, colorIndex) {
+        return this.stay().using({ color: ['red', 'green', 'blue'][colorIndex], colorIndex: colorIndex })
+      })
+      state.on('forget', function(data) {
+        return ['down', { color: data.color }]
+      })
+      state.on('up', function(data) {
+        return ['up', null]
+      })
+    })
+    fsm.when('up', function() {})
+  })
+}
+
+describe('data schemas', function() {
+  it('accepts valid data', function() {
+    assert.deepStrictEqual(lift({ color: 'red', colorIndex: 0 }).fire('change', 2).data, { color: 'blue', colorIndex: 2 })
+  })
+
+  it('does not check states without schema', function() {
+    assert.strictEqual(lift({ color: 'red', colorIndex: 0 }).fire('up').data, null)
+  })
+
+  it('refuses data with the state, the event and the failing path', function() {
+    const machine = lift({ color: 'red', colorIndex: 0 })
+    assert.throws(() => machine.fire('forget'), function(error) {
+      assert.ok(error instanceof InvalidDataError)
+      assert.strictEqual(error.target, 'down')
+      assert.strictEqual(error.event, 'forget')
+      assert.strictEqual(error.path, 'data.colorIndex')
+      assert.strictEqual(error.message,
+        'The data returned by event "forget" on state "down" is invalid for state "down": data.colorIndex is required')
+      return true
+    })
+    assert.throws(() => machine.fire('change', 3), /data\.color must be one of "red", "green", "blue", data\.colorIndex must be less than or equal to 2/)
+    assert.deepStrictEqual(machine.data, { color: 'red', colorIndex: 0 })
+  })
+
+  it('checks the initial data', function() {
+    assert.throws(() => lift({ color: 'red', colorIndex: '0' }), function(error) {
+      assert.ok(error instanceof InvalidDataError)
+      assert.strictEqual(error.path, 'data.colorIndex')
+      assert.strictEqual(error.message, 'The initial data is invalid for state "down": data.colorIndex must be of type integer, found string')
+      return true
+    })
+  })
+
+  it('checks schemas of parent states and validator functions', function() {
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith('list', [])
+      fsm.when('list', { data: { type: 'array', items: { type: 'string' } } }, function(state) {
+        state.on('add', (data, item) => ['list.filled', data.concat([item])])
+        state.when('empty', function() {})
+        state.when('filled', { data: data => data.length <= 2 || 'data must have at most 2 items' }, function() {})
+      })
+    })
+    machine.fire('add', 'a').fire('add', 'b')
+    assert.throws(() => machine.fire('add', 1), error => error.path === 'data[2]')
+    assert.throws(() => machine.fire('add', 'c'), error => error.target === 'list.filled' && /at most 2 items/.test(error.message))
+  })
+
+  it('gives invalid data to the error handler', function() {
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith('counting', 0)
+      fsm.onError(function(error, data) {
+        return ['counting', data]
+      })
+      fsm.when('counting', { data: { type: 'number', minimum: 0 } }, function(state) {
+        state.on('add', (data, step) => ['counting', data + step])
+      })
+    })
+    assert.strictEqual(machine.fire('add', -1).data, 0)
+  })
+
+  it('accepts schemas in configurations', function() {
+    const machine = fsm.fromConfig({
+      initial: 'counting',
+      data: 0,
+      states: { counting: { data: { type: 'number' } } }
+    })
+    assert.strictEqual(machine.describe(false).states[0]['data validator'], true)
+    assert.throws(() => fsm.fromConfig({ initial: 'a', data: null, states: { a: { data: 'number' } } }), fsm.InvalidDefinitionError)
+  })
+})
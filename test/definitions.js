@@ -0,0 +1,101 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+const StateTimeout = fsm.StateTimeout
+
+describe('definitions', function() {
+  let initializations
+  let definition
+
+  beforeEach(function() {
+    initializations = 0
+    definition = fsm.define(function(fsm) {
+      initializations++
+      fsm.startWith('draft', { revisions: 0 })
+      fsm.when('draft', function(state) {
+        state.on('edit', function(data) {
+          return ['draft', { revisions: data.revisions + 1 }]
+        })
+        state.on('publish', function(data) {
+          return ['published', data]
+        }, { to: 'published', guard: function() {
+          return this.context != null && this.context.canPublish
+        } })
+      })
+      fsm.when('published', function() {})
+    })
+  })
+
+  it('calls the initializer once for all instances', function() {
+    definition.start()
+    definition.start()
+    assert.strictEqual(initializations, 1)
+  })
+
+  it('starts independent instances', function() {
+    const first = definition.start().fire('edit').fire('edit')
+    const second = definition.start().fire('edit')
+    assert.deepStrictEqual(first.data, { revisions: 2 })
+    assert.deepStrictEqual(second.data, { revisions: 1 })
+  })
+
+  it('starts instances with their own state, data and context', function() {
+    const document = definition.start({ state: 'published', data: { revisions: 3 }, context: { id: 42 } })
+    assert.strictEqual(document.state, 'published')
+    assert.deepStrictEqual(document.data, { revisions: 3 })
+    assert.deepStrictEqual(document.context, { id: 42 })
+    assert.strictEqual(definition.start().context, null)
+  })
+
+  it('gives the instance to handlers and guards', function() {
+    assert.throws(() => definition.start({ context: { canPublish: false } }).fire('publish'), fsm.NoMatchingGuardError)
+    assert.strictEqual(definition.start({ context: { canPublish: true } }).fire('publish').state, 'published')
+  })
+
+  it('schedules timeouts per instance', function() {
+    const clock = new fsm.ManualClock()
+    const timed = fsm.define(function(fsm) {
+      fsm.withClock(clock)
+      fsm.startWith('waiting', null)
+      fsm.when('waiting', { timeout: 100 }, function(state) {
+        state.on(StateTimeout, data => ['timed out', data])
+        state.on('reset', data => ['waiting', data])
+      })
+      fsm.when('timed out', function() {})
+    })
+    const first = timed.start()
+    clock.advance(50)
+    const second = timed.start()
+    clock.advance(50)
+    assert.strictEqual(first.state, 'timed out')
+    assert.strictEqual(second.state, 'waiting')
+  })
+
+  it('keeps observers per instance', function() {
+    const events = []
+    const first = definition.start()
+    first.subscribe(notification => events.push(notification.event))
+    definition.start().fire('edit')
+    assert.deepStrictEqual(events, [])
+  })
+
+  it('restores instances from snapshots', function() {
+    const snapshot = definition.start().fire('edit').snapshot()
+    assert.deepStrictEqual(definition.start({ from: snapshot }).data, { revisions: 1 })
+  })
+
+  it('is immutable and inspectable', function() {
+    assert.ok(Object.isFrozen(definition))
+    assert.ok(definition.validate().valid)
+    const description = definition.describe(false)
+    assert.strictEqual(description['initial state'], 'draft')
+    assert.deepStrictEqual(description.states.map(state => state.name), ['draft', 'published'])
+  })
+
+  it('refuses invalid definitions in strict mode', function() {
+    assert.throws(() => fsm.define(function(fsm) {
+      fsm.when('a', function() {})
+    }, { strict: true }), fsm.InvalidDefinitionError)
+  })
+})
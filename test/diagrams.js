@@ -0,0 +1,89 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+
+/**
+ * Builds the tutorial machine with declared transition targets.
+ */
+function tutorial() {
+  return fsm.create(function(fsm) {
+    fsm.startWith('producer', 0)
+    fsm.when('producer', function(state) {
+      state.on('produce', function(data) {
+        return ['producer', data + 1]
+      }, { to: 'producer' })
+      state.on('switch', function(data) {
+        return ['consumer', data]
+      }, { to: ['consumer'] })
+    })
+    fsm.when('consumer', function(state) {
+      state.on('consume', function(data) {
+        return ['consumer', data - 1]
+      }, { to: 'consumer' })
+      state.on('switch', function(data) {
+        return ['producer', data]
+      }, { to: 'producer' })
+      state.on('reset', function() {
+        return ['producer', 0]
+      })
+    })
+  })
+}
+
+describe('diagrams', function() {
+  it('lists declared transitions in describe', function() {
+    const states = tutorial().describe(false).states
+    assert.deepStrictEqual(states[0].transitions, { produce: ['producer'], switch: ['consumer'] })
+    assert.deepStrictEqual(states[1].transitions, { consume: ['consumer'], switch: ['producer'] })
+  })
+
+  describe('toDot', function() {
+    it('renders states, declared transitions, and the initial and current states', function() {
+      const machine = tutorial().fire('switch')
+      assert.strictEqual(machine.toDot(), [
+        'digraph {',
+        '  rankdir = LR',
+        '  __initial [shape = point, label = ""]',
+        '  "producer" [penwidth = 2]',
+        '  "consumer" [style = filled, fillcolor = lightblue]',
+        '  __initial -> "producer"',
+        '  "producer" -> "producer" [label = "produce"]',
+        '  "producer" -> "consumer" [label = "switch"]',
+        '  "consumer" -> "consumer" [label = "consume"]',
+        '  "consumer" -> "producer" [label = "switch"]',
+        '}',
+        ''
+      ].join('\n'))
+    })
+
+    it('escapes quotes in names', function() {
+      const machine = fsm.create(function(fsm) {
+        fsm.startWith('say "hi"', null)
+        fsm.when('say "hi"', function() {})
+      })
+      assert.ok(machine.toDot().indexOf('"say \\"hi\\"" [penwidth = 2, style = filled, fillcolor = lightblue]') >= 0)
+    })
+  })
+
+  describe('toMermaid', function() {
+    it('renders states, declared transitions, and the initial and current states', function() {
+      const machine = tutorial().fire('switch')
+      assert.strictEqual(machine.toMermaid(), [
+        'stateDiagram-v2',
+        '  state "producer" as s0',
+        '  state "consumer" as s1',
+        '  [*] --> s0',
+        '  s0 --> s0 : produce',
+        '  s0 --> s1 : switch',
+        '  s1 --> s1 : consume',
+        '  s1 --> s0 : switch',
+        '  classDef initial font-weight:bold,stroke-width:3px',
+        '  classDef current fill:#add8e6',
+        '  class s0 initial',
+        '  class s1 current',
+        ''
+      ].join('\n'))
+    })
+  })
+})
@@ -0,0 +1,133 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+
+/**
+ * Builds the tutorial machine with transition results instead of arrays.
+ */
+function tutorial() {
+  return fsm.create(function(fsm) {
+    fsm.startWith('producer', 0)
+    fsm.when('producer', function(state) {
+      state.on('produce', function(data, count) {
+        return this.stay().using(data + count)
+      })
+      state.on('switch', function() {
+        return this.goto('consumer')
+      })
+      state.on('count', function(data) {
+        return this.stay().replying(data)
+      })
+      state.on('close', function(data) {
+        return this.stop('closed').using(-1)
+      })
+    })
+    fsm.when('consumer', function(state) {
+      state.on('consume', function(data) {
+        return ['consumer', data - 1]
+      })
+      state.on('switch', function(data) {
+        return this.goto('producer').using(data).replying('switched')
+      })
+    })
+  })
+}
+
+describe('transition results', function() {
+  it('goes to the next state with the current data', function() {
+    const machine = tutorial().fire('produce', 2).fire('switch')
+    assert.strictEqual(machine.state, 'consumer')
+    assert.strictEqual(machine.data, 2)
+  })
+
+  it('stays in the current state with new data', function() {
+    const entered = []
+    const machine = tutorial()
+    machine.on('enter', notification => entered.push(notification.state))
+    assert.strictEqual(machine.fire('produce', 3).state, 'producer')
+    assert.strictEqual(machine.data, 3)
+    assert.deepStrictEqual(entered, [])
+  })
+
+  it('keeps supporting arrays', function() {
+    assert.strictEqual(tutorial().fire('produce', 2).fire('switch').fire('consume').data, 1)
+  })
+
+  it('returns the reply instead of the FSM', function() {
+    const machine = tutorial().fire('produce', 2)
+    assert.strictEqual(machine.fire('count'), 2)
+    assert.strictEqual(machine.fire('switch').fire('switch'), 'switched')
+    assert.strictEqual(machine.state, 'producer')
+  })
+
+  it('resolves asynchronous events with the reply', function() {
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith('idle', null)
+      fsm.when('idle', function(state) {
+        state.on('load', function(data, id) {
+          return Promise.resolve(this.goto('loaded').using(id).replying('item ' + id))
+        })
+      })
+      fsm.when('loaded', function() {})
+    })
+    return machine.fire('load', 1).then(reply => {
+      assert.strictEqual(reply, 'item 1')
+      assert.strictEqual(machine.state, 'loaded')
+    })
+  })
+
+  it('stops the FSM and rejects further events', function() {
+    const machine = tutorial().fire('close')
+    assert.strictEqual(machine.state, 'producer')
+    assert.strictEqual(machine.data, -1)
+    assert.throws(() => machine.fire('produce', 1), fsm.FSMStoppedError)
+    assert.throws(() => machine.send('produce', 1), fsm.FSMStoppedError)
+  })
+
+  it('cancels timers and queued events when stopping', function() {
+    const clock = new fsm.ManualClock()
+    const ticks = []
+    const machine = fsm.create(function(fsm) {
+      fsm.withClock(clock)
+      fsm.startWith('running', 0)
+      fsm.when('running', function(state) {
+        state.onEnter(function() {
+          this.setTimer('ticker', 'tick', 10, true)
+        })
+        state.on('tick', function(data) {
+          ticks.push(data)
+          return this.stay().using(data + 1)
+        })
+        state.on('close', function() {
+          this.fire('tick')
+          return this.stop()
+        })
+      })
+    })
+    clock.advance(10)
+    machine.fire('close')
+    clock.advance(100)
+    assert.deepStrictEqual(ticks, [0])
+    assert.strictEqual(machine.data, 1)
+  })
+
+  it('stays in the region of the handler', function() {
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith(null, 0)
+      fsm.region('a', function(region) {
+        region.when('x', state => state.on('go', data => ['a.y', data]))
+        region.when('y', function() {})
+      })
+      fsm.region('b', function(region) {
+        region.when('x', function(state) {
+          state.on('go', function(data) {
+            return this.stay().using(data + 1)
+          })
+        })
+      })
+    })
+    assert.deepStrictEqual(machine.fire('go').state, { a: 'y', b: 'x' })
+    assert.strictEqual(machine.data, 1)
+  })
+})
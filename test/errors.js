@@ -0,0 +1,182 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+
+/**
+ * Builds a machine with handlers failing in every possible way, scheduled with the given clock if any.
+ */
+function machine(errorHandler, clock) {
+  return fsm.create(function(fsm) {
+    if (clock) {
+      fsm.withClock(clock)
+    }
+    fsm.startWith('idle', 0)
+    fsm.when('idle', function(state) {
+      state.on('nothing', function() {})
+      state.on('wait', function(data) {
+        return ['idle', data]
+      })
+      state.on('typo', function(data) {
+        return ['idel', data]
+      })
+      state.on('inherited', function(data) {
+        return ['constructor', data]
+      })
+      state.on('crash', function() {
+        throw new Error('crash')
+      })
+      state.on('pay', function(data, calls) {
+        this.execute(() => calls.push('execute'))
+        this.executeOut(() => calls.push('executeOut'))
+        return ['paid', data]
+      })
+    })
+    fsm.when('failed', function() {})
+    if (errorHandler) {
+      fsm.onError(errorHandler)
+    }
+  })
+}
+
+function current(machine) {
+  const description = machine.describe(false)['Current state']
+  return [description.state, description.data]
+}
+
+describe('errors', function() {
+  describe('error classes', function() {
+    it('are Error subclasses carrying state, event and arguments', function() {
+      assert.throws(function() {
+        machine().fire('unknown', 1, 2)
+      }, function(error) {
+        assert.ok(error instanceof fsm.UnknownEventError)
+        assert.ok(error instanceof fsm.FSMError)
+        assert.ok(error instanceof Error)
+        assert.strictEqual(error.name, 'UnknownEventError')
+        assert.strictEqual(error.state, 'idle')
+        assert.strictEqual(error.event, 'unknown')
+        assert.deepStrictEqual(error.args, [1, 2])
+        return true
+      })
+    })
+
+    it('raises UnknownEventError when the event name is missing', function() {
+      assert.throws(function() {
+        machine().fire()
+      }, fsm.UnknownEventError)
+    })
+
+    it('raises InvalidHandlerResultError when the handler does not return the next state and data', function() {
+      assert.throws(function() {
+        machine().fire('nothing', 'x')
+      }, function(error) {
+        assert.ok(error instanceof fsm.InvalidHandlerResultError)
+        assert.strictEqual(error.event, 'nothing')
+        assert.deepStrictEqual(error.args, ['x'])
+        return true
+      })
+    })
+
+    it('raises UnknownStateError and stays in the current state when the next state does not exist', function() {
+      const m = machine()
+      assert.throws(function() {
+        m.fire('typo')
+      }, function(error) {
+        assert.ok(error instanceof fsm.UnknownStateError)
+        assert.strictEqual(error.state, 'idle')
+        assert.strictEqual(error.event, 'typo')
+        assert.ok(/"idel"/.test(error.message))
+        return true
+      })
+      assert.deepStrictEqual(current(m), ['idle', 0])
+    })
+
+    it('discards execute functions of the failed handler', function() {
+      const calls = []
+      const clock = new fsm.ManualClock()
+      const m = machine(null, clock)
+      assert.throws(() => m.fire('pay', calls), fsm.UnknownStateError)
+      m.fire('wait')
+      clock.advance(0)
+      assert.deepStrictEqual(calls, [])
+    })
+
+    it('raises UnknownStateError for names of Object properties', function() {
+      const m = machine()
+      assert.throws(() => m.fire('inherited'), fsm.UnknownStateError)
+      assert.deepStrictEqual(current(m), ['idle', 0])
+    })
+
+    it('raises UnknownStateError when the FSM was started in an undeclared state', function() {
+      const m = fsm.create(function(fsm) {
+        fsm.startWith('idel', 0)
+        fsm.when('idle', state => state.on('go', data => ['idle', data]))
+      })
+      assert.throws(() => m.fire('go'), function(error) {
+        assert.ok(error instanceof fsm.UnknownStateError)
+        assert.strictEqual(error.state, 'idel')
+        assert.strictEqual(error.event, 'go')
+        return true
+      })
+    })
+  })
+
+  describe('onError', function() {
+    it('rethrows the error when the handler returns nothing', function() {
+      const errors = []
+      const m = machine(function(error) {
+        errors.push(error)
+      })
+      assert.throws(function() {
+        m.fire('typo')
+      }, fsm.UnknownStateError)
+      assert.strictEqual(errors.length, 1)
+    })
+
+    it('stays in the current state', function() {
+      const m = machine(function(error, data, event) {
+        return [event.state, data]
+      })
+      m.fire('unknown').fire('nothing').fire('typo')
+      assert.deepStrictEqual(current(m), ['idle', 0])
+    })
+
+    it('moves to an error state, including for exceptions thrown by handlers', function() {
+      const calls = []
+      const m = machine(function(error, data, event) {
+        calls.push([this, error.message, data, event])
+        return ['failed', error.message]
+      })
+      m.fire('crash', 1)
+      assert.deepStrictEqual(calls, [[m, 'crash', 0, { name: 'crash', args: [1], state: 'idle' }]])
+      assert.deepStrictEqual(current(m), ['failed', 'crash'])
+    })
+
+    it('discards execute functions of the failed handler when recovering', function() {
+      const calls = []
+      const clock = new fsm.ManualClock()
+      const m = machine(function(error, data, event) {
+        return [event.state, data]
+      }, clock)
+      m.fire('pay', calls)
+      clock.advance(0)
+      assert.deepStrictEqual(calls, [])
+      assert.deepStrictEqual(current(m), ['idle', 0])
+    })
+
+    it('checks the result of the error handler', function() {
+      const m = machine(function(error, data) {
+        return ['nowhere', data]
+      })
+      assert.throws(function() {
+        m.fire('unknown')
+      }, fsm.UnknownStateError)
+    })
+
+    it('shows the error handler in describe', function() {
+      assert.strictEqual(machine().describe(false)['error handler'], false)
+      assert.strictEqual(machine(function() {}).describe(false)['error handler'], true)
+    })
+  })
+})
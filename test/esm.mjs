@@ -0,0 +1,25 @@
+import assert from 'assert'
+import fsm, { create, FSM, FSMBuilder, StateBuilder } from '../src/fsm.mjs'
+
+describe('fsm (ES module)', function() {
+  it('exports the public API as named and default exports', function() {
+    assert.strictEqual(create, fsm.create)
+    assert.strictEqual(FSM, fsm.FSM)
+    assert.strictEqual(FSMBuilder, fsm.FSMBuilder)
+    assert.strictEqual(StateBuilder, fsm.StateBuilder)
+  })
+
+  it('builds a working FSM', function() {
+    const machine = create(function(fsm) {
+      fsm.startWith('off', null)
+      fsm.when('off', function(state) {
+        state.on('toggle', function(data) {
+          return ['on', data]
+        })
+      })
+      fsm.when('on', function() {})
+    })
+    machine.fire('toggle')
+    assert.strictEqual(machine.describe(false)['Current state'].state, 'on')
+  })
+})
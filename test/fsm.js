@@ -0,0 +1,195 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+
+/**
+ * Builds the producer/consumer machine of the tutorial.
+ */
+function tutorial() {
+  return fsm.create(function(fsm) {
+    fsm.startWith('producer', 0)
+
+    fsm.when('producer', function(state) {
+      state.on('produce', function(data, elements) {
+        const elts = elements || 1
+        return data + elts <= 10 ? ['producer', data + elts] : ['producer', data]
+      })
+      state.on('switch', function(data) {
+        return ['consumer', data]
+      })
+    })
+
+    fsm.when('consumer', function(state) {
+      state.on('consume', function(data, elements) {
+        const elts = elements || 1
+        return data - elts >= 0 ? ['consumer', data - elts] : ['consumer', data]
+      })
+      state.on('switch', function(data) {
+        return ['producer', data]
+      })
+    })
+  })
+}
+
+describe('fsm', function() {
+  describe('module', function() {
+    it('exports the public API', function() {
+      assert.strictEqual(typeof fsm.create, 'function')
+      assert.strictEqual(typeof fsm.FSM, 'function')
+      assert.strictEqual(typeof fsm.FSMBuilder, 'function')
+      assert.strictEqual(typeof fsm.StateBuilder, 'function')
+    })
+
+    it('does not write into the global namespace when loaded as CommonJS', function() {
+      assert.strictEqual(global.k, undefined)
+    })
+
+    it('falls back to the global k.fsm namespace without module system', function() {
+      const vm = require('vm')
+      const fs = require('fs')
+      const path = require('path')
+      const sandbox = { k: { fsm: { existing: true } } }
+      sandbox.self = sandbox
+      vm.runInNewContext(fs.readFileSync(path.join(__dirname, '../src/fsm.js'), 'utf8'), sandbox)
+      assert.strictEqual(typeof sandbox.k.fsm.create, 'function')
+      assert.strictEqual(sandbox.k.fsm.existing, true)
+    })
+  })
+
+  describe('create', function() {
+    it('builds a FSM starting with the initial state and data', function() {
+      const machine = tutorial()
+      assert.ok(machine instanceof fsm.FSM)
+      const description = machine.describe(false)
+      assert.strictEqual(description['Current state'].state, 'producer')
+      assert.strictEqual(description['Current state'].data, 0)
+    })
+
+    it('passes the builder to the initializer', function() {
+      let builder = null
+      fsm.create(function(fsm) {
+        builder = fsm
+      })
+      assert.ok(builder instanceof fsm.FSMBuilder)
+    })
+
+    it('returns a sealed FSM with custom functions of the initializer', function() {
+      const machine = fsm.create(function(fsm) {
+        fsm.startWith('s', 0)
+        fsm.say = function(text) {
+          return text
+        }
+        fsm.when('s', function(state) {
+          state.on('e', function(data) {
+            return ['s', this.say(data + 1)]
+          })
+        })
+      })
+      assert.ok(Object.isSealed(machine))
+      machine.fire('e')
+      assert.strictEqual(machine.describe(false)['Current state'].data, 1)
+    })
+  })
+
+  describe('FSM.fire', function() {
+    it('runs the tutorial scenario', function() {
+      const machine = tutorial()
+      const current = function() {
+        const description = machine.describe(false)['Current state']
+        return [description.state, description.data]
+      }
+
+      machine.fire('produce')
+      assert.deepStrictEqual(current(), ['producer', 1])
+      machine.fire('produce', 2)
+      assert.deepStrictEqual(current(), ['producer', 3])
+      assert.throws(function() {
+        machine.fire('consume')
+      })
+      machine.fire('switch')
+      assert.deepStrictEqual(current(), ['consumer', 3])
+      machine.fire('consume', 3)
+      assert.deepStrictEqual(current(), ['consumer', 0])
+      machine.fire('consume')
+      assert.deepStrictEqual(current(), ['consumer', 0])
+    })
+
+    it('returns the FSM for chained calls', function() {
+      const machine = tutorial()
+      assert.strictEqual(machine.fire('produce'), machine)
+    })
+
+    it('throws when the handler does not return the next state and data', function() {
+      const machine = fsm.create(function(fsm) {
+        fsm.startWith('s', 0)
+        fsm.when('s', function(state) {
+          state.on('e', function() {})
+        })
+      })
+      assert.throws(function() {
+        machine.fire('e')
+      })
+    })
+
+    it('notifies state change listeners only when the state name changes', function() {
+      const changes = []
+      const machine = fsm.create(function(fsm) {
+        fsm.startWith('a', 0)
+        fsm.when('a', function(state) {
+          state.on('stay', function(data) {
+            return ['a', data]
+          })
+          state.on('go', function(data) {
+            return ['b', data]
+          })
+        })
+        fsm.when('b', function() {})
+        fsm.onStateChanged(function(oldState, newState) {
+          changes.push([oldState, newState])
+        })
+      })
+      machine.fire('stay').fire('go')
+      assert.deepStrictEqual(changes, [['a', 'b']])
+    })
+
+    it('runs execute callbacks after the transition and executeOut callbacks asynchronously', function(done) {
+      const calls = []
+      const machine = fsm.create(function(fsm) {
+        fsm.startWith('a', 0)
+        fsm.when('a', function(state) {
+          state.on('go', function(data) {
+            this.executeOut(function() {
+              calls.push('out')
+              assert.deepStrictEqual(calls, ['handler', 'execute', 'fired', 'out'])
+              done()
+            })
+            this.execute(function() {
+              calls.push('execute')
+            })
+            calls.push('handler')
+            return ['a', data]
+          })
+        })
+      })
+      machine.fire('go')
+      calls.push('fired')
+    })
+  })
+
+  describe('FSM.describe', function() {
+    it('lists states and their handlers', function() {
+      const description = JSON.parse(tutorial().describe())
+      assert.deepStrictEqual(description.states, [
+        {
+          name: 'producer', handlers: ['produce', 'switch'], transitions: {}, guards: {}, timeout: null, pending: null, final: false,
+          "data validator": false, "onEnter actions": 0, "onExit actions": 0, deferred: []
+        },
+        {
+          name: 'consumer', handlers: ['consume', 'switch'], transitions: {}, guards: {}, timeout: null, pending: null, final: false,
+          "data validator": false, "onEnter actions": 0, "onExit actions": 0, deferred: []
+        }
+      ])
+    })
+  })
+})
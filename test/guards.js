@@ -0,0 +1,142 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+
+function isFull(data, elements) {
+  return data + (elements || 1) > 10
+}
+
+/**
+ * Builds the producer side of the tutorial with guarded handlers instead of if/else.
+ */
+function producer(calls) {
+  return fsm.create(function(fsm) {
+    fsm.startWith('producer', 9)
+    fsm.when('producer', function(state) {
+      state.on('produce', { guard: isFull, to: 'producer' }, function(data) {
+        calls.push('full')
+        return ['producer', data]
+      })
+      state.on('produce', { guard: (data, elements) => elements === 0, label: 'nothing', to: 'producer' }, function(data) {
+        return ['producer', data]
+      })
+      state.on('produce', function(data, elements) {
+        return ['producer', data + (elements || 1)]
+      }, { to: 'producer' })
+      state.on('switch', { guard: data => data > 0, label: 'not empty', to: 'consumer' }, function(data) {
+        return ['consumer', data]
+      })
+    })
+    fsm.when('consumer', function(state) {
+      state.on('switch', function(data) {
+        return ['producer', data]
+      }, { to: 'producer' })
+    })
+  })
+}
+
+function current(machine) {
+  const description = machine.describe(false)['Current state']
+  return [description.state, description.data]
+}
+
+describe('guards', function() {
+  it('calls the first handler whose guard matches, in declaration order', function() {
+    const calls = []
+    const machine = producer(calls)
+    machine.fire('produce', 2)
+    assert.deepStrictEqual(calls, ['full'])
+    assert.deepStrictEqual(current(machine), ['producer', 9])
+    machine.fire('produce')
+    assert.deepStrictEqual(current(machine), ['producer', 10])
+  })
+
+  it('gives the data and the event arguments to guards, with the FSM as this', function() {
+    const calls = []
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith('a', 'data')
+      fsm.when('a', function(state) {
+        state.on('e', {
+          guard: function(data, x, y) {
+            calls.push([this, data, x, y])
+            return true
+          }
+        }, function(data) {
+          return ['a', data]
+        })
+      })
+    })
+    machine.fire('e', 1, 2)
+    assert.deepStrictEqual(calls, [[machine, 'data', 1, 2]])
+  })
+
+  it('raises NoMatchingGuardError when no guard matches', function() {
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith('producer', 0)
+      fsm.when('producer', function(state) {
+        state.on('switch', { guard: data => data > 0 }, function(data) {
+          return ['producer', data]
+        })
+      })
+    })
+    assert.throws(function() {
+      machine.fire('switch')
+    }, function(error) {
+      assert.ok(error instanceof fsm.NoMatchingGuardError)
+      assert.ok(error instanceof fsm.UnknownEventError)
+      assert.strictEqual(error.message, 'No guard of the event "switch" matches in state "producer"')
+      return true
+    })
+  })
+
+  it('falls back to the wildcard handler when no guard matches', function() {
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith('a', 0)
+      fsm.when('a', function(state) {
+        state.on('e', { guard: () => false }, function(data) {
+          return ['a', data + 1]
+        })
+        state.on('*', function(data, event) {
+          return ['a', event.name]
+        })
+      })
+    })
+    machine.fire('e')
+    assert.deepStrictEqual(current(machine), ['a', 'e'])
+  })
+
+  it('lists guards in describe', function() {
+    const states = producer([]).describe(false).states
+    assert.deepStrictEqual(states[0].handlers, ['produce', 'switch'])
+    assert.deepStrictEqual(states[0].guards, { produce: ['isFull', 'nothing'], switch: ['not empty'] })
+    assert.deepStrictEqual(states[0].transitions, { produce: ['producer'], switch: ['consumer'] })
+  })
+
+  it('shows guards in diagrams', function() {
+    const dot = producer([]).toDot()
+    assert.ok(dot.indexOf('"producer" -> "producer" [label = "produce [isFull]"]') >= 0)
+    assert.ok(dot.indexOf('"producer" -> "producer" [label = "produce [nothing]"]') >= 0)
+    assert.ok(dot.indexOf('"producer" -> "producer" [label = "produce"]') >= 0)
+    assert.ok(dot.indexOf('"producer" -> "consumer" [label = "switch [not empty]"]') >= 0)
+    assert.ok(producer([]).toMermaid().indexOf('s0 --> s1 : switch [not empty]') >= 0)
+  })
+
+  it('warns about handlers declared after a handler without guard', function() {
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith('a', 0)
+      fsm.when('a', function(state) {
+        state.on('e', function(data) {
+          return ['a', data]
+        })
+        state.on('e', function(data) {
+          return ['a', data + 1]
+        })
+      })
+    })
+    const warnings = machine.validate().warnings.filter(warning => warning.code == 'shadowed-handler')
+    assert.deepStrictEqual(warnings.map(warning => [warning.state, warning.event]), [['a', 'e']])
+    machine.fire('e')
+    assert.deepStrictEqual(current(machine), ['a', 0])
+  })
+})
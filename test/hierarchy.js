@@ -0,0 +1,295 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+const StateTimeout = fsm.StateTimeout
+
+/**
+ * Builds a document workflow: editing (draft, review) shares cancel and save handlers, closed is top-level.
+ * Entry and exit actions are logged in the given array.
+ */
+function workflow(log) {
+  const track = function(state, name) {
+    state.onEnter(() => log.push('enter ' + name))
+    state.onExit(() => log.push('exit ' + name))
+  }
+  return fsm.create(function(fsm) {
+    fsm.startWith('editing', { saved: 0 })
+    fsm.when('editing', { initial: 'draft' }, function(state) {
+      track(state, 'editing')
+      state.on('cancel', function(data) {
+        return ['closed', data]
+      }, { to: 'closed' })
+      state.on('save', function(data) {
+        return ['editing.draft', { saved: data.saved + 1 }]
+      }, { to: 'editing.draft' })
+      state.when('review', function(state) {
+        track(state, 'editing.review')
+        state.on('reject', function(data) {
+          return ['editing.draft', data]
+        }, { to: 'editing.draft' })
+      })
+      state.when('draft', function(state) {
+        track(state, 'editing.draft')
+        state.on('submit', function(data) {
+          return ['editing.review', data]
+        }, { to: 'editing.review' })
+        state.on('save', function(data) {
+          return ['editing.draft', { saved: data.saved + 10 }]
+        }, { to: 'editing.draft' })
+      })
+    })
+    fsm.when('closed', function(state) {
+      track(state, 'closed')
+      state.on('reopen', function(data) {
+        return ['editing', data]
+      }, { to: 'editing' })
+    })
+  })
+}
+
+describe('hierarchical states', function() {
+  it('enters the initial substate of a composite state, from the top-level state', function() {
+    const log = []
+    const machine = workflow(log)
+    assert.strictEqual(machine.state, 'editing.draft')
+    assert.deepStrictEqual(log, ['enter editing', 'enter editing.draft'])
+  })
+
+  it('declares substates with dotted names', function() {
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith('a', null)
+      fsm.when('a', function() {})
+      fsm.when('a.b', function(state) {
+        state.on('go', function(data) {
+          return ['c', data]
+        })
+      })
+      fsm.when('c', function() {})
+    })
+    assert.strictEqual(machine.state, 'a.b')
+    assert.strictEqual(machine.fire('go').state, 'c')
+  })
+
+  it('bubbles unhandled events up to parent states', function() {
+    const machine = workflow([])
+    machine.fire('submit')
+    assert.strictEqual(machine.state, 'editing.review')
+    machine.fire('save')
+    assert.deepStrictEqual(machine.data, { saved: 1 })
+    machine.fire('cancel')
+    assert.strictEqual(machine.state, 'closed')
+  })
+
+  it('prefers the handler of the substate over the one of its parent', function() {
+    const machine = workflow([])
+    machine.fire('save')
+    assert.deepStrictEqual(machine.data, { saved: 10 })
+  })
+
+  it('prefers handlers of parent states over wildcard handlers', function() {
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith('a', null)
+      fsm.when('a', function(state) {
+        state.on('go', function() {
+          return ['a', 'parent']
+        })
+        state.when('b', function(state) {
+          state.on('*', function() {
+            return ['a.b', 'wildcard']
+          })
+        })
+      })
+    })
+    assert.strictEqual(machine.fire('go').data, 'parent')
+    assert.strictEqual(machine.fire('other').data, 'wildcard')
+  })
+
+  it('throws when no state of the hierarchy handles the event', function() {
+    const machine = workflow([])
+    assert.throws(() => machine.fire('reopen'), fsm.UnknownEventError)
+  })
+
+  it('exits and enters states up to their common parent state', function() {
+    const log = []
+    const machine = workflow(log)
+    log.length = 0
+    machine.fire('submit')
+    assert.deepStrictEqual(log, ['exit editing.draft', 'enter editing.review'])
+    log.length = 0
+    machine.fire('cancel')
+    assert.deepStrictEqual(log, ['exit editing.review', 'exit editing', 'enter closed'])
+    log.length = 0
+    machine.fire('reopen')
+    assert.deepStrictEqual(log, ['exit closed', 'enter editing', 'enter editing.draft'])
+  })
+
+  it('runs no action when the target resolves to the current state', function() {
+    const log = []
+    const changes = []
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith('a', null)
+      fsm.onStateChanged((from, to) => changes.push(from + ' -> ' + to))
+      fsm.when('a', function(state) {
+        state.onEnter(() => log.push('enter a'))
+        state.on('restart', function(data) {
+          return ['a', data]
+        })
+        state.when('b', function() {})
+      })
+    })
+    log.length = 0
+    machine.fire('restart')
+    assert.strictEqual(machine.state, 'a.b')
+    assert.deepStrictEqual(log, [])
+    assert.deepStrictEqual(changes, [])
+  })
+
+  it('considers the FSM in a composite state when it is in any of its substates', function() {
+    const machine = workflow([])
+    assert.ok(machine.is('editing'))
+    assert.ok(machine.is('editing.draft'))
+    assert.ok(!machine.is('editing.review'))
+    assert.ok(!machine.is('edit'))
+    machine.fire('cancel')
+    assert.ok(!machine.is('editing'))
+  })
+
+  it('lists events handled by parent states', function() {
+    const machine = workflow([])
+    assert.ok(machine.can('cancel'))
+    assert.ok(!machine.can('reject'))
+    assert.deepStrictEqual(machine.availableEvents(), ['submit', 'save', 'cancel'])
+  })
+
+  it('inherits the timeout of the parent state', function() {
+    const clock = new fsm.ManualClock()
+    const machine = fsm.create(function(fsm) {
+      fsm.withClock(clock)
+      fsm.startWith('a', null)
+      fsm.when('a', { timeout: 100 }, function(state) {
+        state.on(StateTimeout, function(data) {
+          return ['idle', data]
+        })
+        state.when('b', function() {})
+      })
+      fsm.when('idle', function() {})
+    })
+    clock.advance(100)
+    assert.strictEqual(machine.state, 'idle')
+  })
+
+  it('shows the tree of states in describe', function() {
+    const states = workflow([]).describe(false).states
+    assert.deepStrictEqual(states.map(state => state.name), ['editing', 'closed'])
+    assert.strictEqual(states[0].initial, 'editing.draft')
+    assert.deepStrictEqual(states[0].states.map(state => state.name), ['editing.review', 'editing.draft'])
+    assert.strictEqual(states[1].states, undefined)
+  })
+
+  it('restores snapshots in substates without entry actions', function() {
+    const log = []
+    const snapshot = workflow([]).fire('submit').snapshot()
+    const machine = fsm.restore(function(fsm) {
+      fsm.startWith('closed', null)
+      fsm.when('editing', function(state) {
+        state.onEnter(() => log.push('enter editing'))
+        state.when('review', function() {})
+      })
+      fsm.when('closed', function() {})
+    }, snapshot)
+    assert.strictEqual(machine.state, 'editing.review')
+    assert.deepStrictEqual(log, [])
+  })
+
+  describe('validation', function() {
+    it('reports valid hierarchical definitions', function() {
+      assert.deepStrictEqual(workflow([]).validate().errors, [])
+      assert.deepStrictEqual(workflow([]).validate().warnings, [])
+    })
+
+    it('reports unknown parent states and initial substates', function() {
+      const report = fsm.create(function(fsm) {
+        fsm.startWith('a', null)
+        fsm.when('a', { initial: 'c' }, function(state) {
+          state.when('b', function() {})
+        })
+        fsm.when('x.y', function() {})
+      }).validate()
+      assert.deepStrictEqual(report.errors.map(error => [error.code, error.state]), [
+        ['unknown-initial-substate', 'a'],
+        ['unknown-parent-state', 'x.y']
+      ])
+    })
+
+    it('checks dead ends and reachability through parent states', function() {
+      const report = fsm.create(function(fsm) {
+        fsm.startWith('a', null)
+        fsm.when('a', function(state) {
+          state.on('leave', function(data) {
+            return ['c', data]
+          }, { to: 'c' })
+          state.when('b', function() {})
+          state.when('unused', function() {})
+        })
+        fsm.when('c', function() {})
+      }).validate()
+      assert.deepStrictEqual(report.warnings.map(warning => [warning.code, warning.state]), [
+        ['dead-end-state', 'c'],
+        ['unreachable-state', 'a.unused']
+      ])
+    })
+  })
+
+  describe('diagrams', function() {
+    it('draws composite states as DOT clusters', function() {
+      assert.strictEqual(workflow([]).toDot(), [
+        'digraph {',
+        '  rankdir = LR',
+        '  compound = true',
+        '  __initial [shape = point, label = ""]',
+        '  subgraph "cluster_editing" {',
+        '    label = "editing"',
+        '    penwidth = 2',
+        '    "editing.review" [label = "review"]',
+        '    "editing.draft" [label = "draft", style = filled, fillcolor = lightblue]',
+        '  }',
+        '  "closed"',
+        '  __initial -> "editing.draft" [lhead = "cluster_editing"]',
+        '  "editing.draft" -> "closed" [label = "cancel", ltail = "cluster_editing"]',
+        '  "editing.draft" -> "editing.draft" [label = "save", ltail = "cluster_editing"]',
+        '  "editing.review" -> "editing.draft" [label = "reject"]',
+        '  "editing.draft" -> "editing.review" [label = "submit"]',
+        '  "editing.draft" -> "editing.draft" [label = "save"]',
+        '  "closed" -> "editing.draft" [label = "reopen", lhead = "cluster_editing"]',
+        '}',
+        ''
+      ].join('\n'))
+    })
+
+    it('draws composite states as Mermaid composite states', function() {
+      assert.strictEqual(workflow([]).toMermaid(), [
+        'stateDiagram-v2',
+        '  state "editing" as s0',
+        '  state s0 {',
+        '    state "review" as s1',
+        '    state "draft" as s2',
+        '    [*] --> s2',
+        '    s1 --> s2 : reject',
+        '    s2 --> s1 : submit',
+        '    s2 --> s2 : save',
+        '  }',
+        '  state "closed" as s3',
+        '  [*] --> s0',
+        '  s0 --> s3 : cancel',
+        '  s0 --> s2 : save',
+        '  s3 --> s0 : reopen',
+        '  classDef initial font-weight:bold,stroke-width:3px',
+        '  classDef current fill:#add8e6',
+        '  class s0 initial',
+        '  class s2 current',
+        ''
+      ].join('\n'))
+    })
+  })
+})
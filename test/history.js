@@ -0,0 +1,203 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+const StateTimeout = fsm.StateTimeout
+
+/**
+ * Defines the tutorial machine with history, where switching to the consumer also fires a nested event.
+ * Entry actions are logged in the given array.
+ */
+function tutorial(log) {
+  return function(fsm) {
+    fsm.withHistory(5)
+    fsm.startWith('producer', 0)
+    fsm.when('producer', function(state) {
+      state.onEnter(() => log.push('enter producer'))
+      state.on('produce', function(data, count) {
+        return ['producer', data + count]
+      })
+      state.on('switch', function(data) {
+        this.fire('consume')
+        return ['consumer', data]
+      })
+    })
+    fsm.when('consumer', function(state) {
+      state.onEnter(() => log.push('enter consumer'))
+      state.on('consume', function(data) {
+        return ['consumer', data - 1]
+      })
+      state.on('switch', function(data) {
+        return ['producer', data]
+      })
+    })
+  }
+}
+
+describe('history', function() {
+  it('is disabled by default', function() {
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith('a', null)
+      fsm.when('a', state => state.on('go', data => ['a', data]))
+    })
+    assert.deepStrictEqual(machine.fire('go').history(), [])
+    assert.strictEqual(machine.describe(false)['history entries'], null)
+  })
+
+  it('records handled events with their arguments, states and data', function() {
+    const machine = fsm.create(tutorial([])).fire('produce', 2).fire('switch')
+    assert.deepStrictEqual(machine.history(), [
+      { event: 'produce', args: [2], from: 'producer', to: 'producer', prevData: 0, data: 2, external: true },
+      { event: 'switch', args: [], from: 'producer', to: 'consumer', prevData: 2, data: 2, external: true },
+      { event: 'consume', args: [], from: 'consumer', to: 'consumer', prevData: 2, data: 1, external: false }
+    ])
+    assert.ok(Object.isFrozen(machine.history()[0]))
+  })
+
+  it('does not record failed events', function() {
+    const machine = fsm.create(tutorial([]))
+    assert.throws(() => machine.fire('consume'), fsm.UnknownEventError)
+    assert.deepStrictEqual(machine.history(), [])
+  })
+
+  it('forgets the oldest entries when full', function() {
+    const machine = fsm.create(tutorial([]))
+    for (let i = 1; i <= 7; i++) {
+      machine.fire('produce', i)
+    }
+    assert.deepStrictEqual(machine.history().map(entry => entry.args[0]), [3, 4, 5, 6, 7])
+  })
+
+  describe('time-travel', function() {
+    it('goes back before a history entry without running actions', function() {
+      const log = []
+      const machine = fsm.create(tutorial(log)).fire('produce', 2).fire('switch').fire('switch')
+      log.length = 0
+      machine.goTo(1)
+      assert.strictEqual(machine.state, 'producer')
+      assert.strictEqual(machine.data, 2)
+      assert.strictEqual(machine.history().length, 1)
+      assert.deepStrictEqual(log, [])
+    })
+
+    it('undoes the last entry', function() {
+      const machine = fsm.create(tutorial([])).fire('produce', 2).fire('produce', 3)
+      assert.strictEqual(machine.undo().data, 2)
+      assert.strictEqual(machine.undo().data, 0)
+      assert.strictEqual(machine.undo().data, 0)
+    })
+
+    it('refuses indexes out of the history', function() {
+      const machine = fsm.create(tutorial([])).fire('produce', 2)
+      assert.strictEqual(machine.goTo(1).data, 2)
+      assert.throws(() => machine.goTo(2), RangeError)
+      assert.throws(() => machine.goTo(-1), RangeError)
+    })
+
+    it('reschedules the state timeout', function() {
+      const clock = new fsm.ManualClock()
+      const machine = fsm.create(function(fsm) {
+        fsm.withHistory().withClock(clock)
+        fsm.startWith('idle', null)
+        fsm.when('idle', function(state) {
+          state.on('start', data => ['running', data])
+        })
+        fsm.when('running', { timeout: 100 }, function(state) {
+          state.on('stop', data => ['idle', data])
+          state.on(StateTimeout, data => ['timed out', data])
+        })
+        fsm.when('timed out', function() {})
+      })
+      machine.fire('start').fire('stop').undo()
+      assert.strictEqual(machine.state, 'running')
+      clock.advance(100)
+      assert.strictEqual(machine.state, 'timed out')
+    })
+  })
+
+  describe('replay', function() {
+    it('fires external events of the log against a new FSM', function() {
+      const log = fsm.create(tutorial([])).fire('produce', 2).fire('switch').fire('switch').history()
+      const machine = fsm.replay(tutorial([]), JSON.parse(JSON.stringify(log)))
+      assert.strictEqual(machine.state, 'producer')
+      assert.strictEqual(machine.data, 1)
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(machine.history())), JSON.parse(JSON.stringify(log)))
+    })
+
+    it('replays events whose handler replies', function() {
+      const definition = function(fsm) {
+        fsm.withHistory()
+        fsm.startWith('counting', 0)
+        fsm.when('counting', function(state) {
+          state.on('increment', function(data) {
+            return this.stay().using(data + 1).replying(data)
+          })
+        })
+      }
+      const recorded = fsm.create(definition)
+      assert.strictEqual(recorded.fire('increment'), 0)
+      assert.strictEqual(recorded.fire('increment'), 1)
+      const machine = fsm.replay(definition, recorded.history())
+      assert.strictEqual(machine.data, 2)
+    })
+
+    it('replays timer events from the log only', function() {
+      const definition = function(fsm) {
+        fsm.withHistory()
+        fsm.startWith('waiting', 0)
+        fsm.when('waiting', function(state) {
+          state.on('tick', data => ['waiting', data + 1])
+          state.onEnter(function() {
+            this.setTimer('ticker', 'tick', 10, true)
+          })
+        })
+      }
+      const clock = new fsm.ManualClock()
+      const recorded = fsm.create(function(fsm) {
+        definition(fsm)
+        fsm.withClock(clock)
+      })
+      clock.advance(30)
+      const machine = fsm.replay(definition, recorded.history())
+      assert.strictEqual(machine.data, 3)
+    })
+
+    it('replays the log against a new instance of a definition, with its own clock', function() {
+      const clock = new fsm.ManualClock()
+      const definition = fsm.define(function(fsm) {
+        fsm.withHistory()
+        fsm.withClock(clock)
+        fsm.startWith('waiting', 0)
+        fsm.when('waiting', function(state) {
+          state.on('tick', data => ['waiting', data + 1])
+          state.onEnter(function() {
+            this.setTimer('ticker', 'tick', 10, true)
+          })
+        })
+      })
+      const recorded = definition.start()
+      clock.advance(20)
+      const machine = fsm.replay(definition, recorded.history())
+      assert.strictEqual(machine.data, 2)
+      clock.advance(10)
+      assert.strictEqual(recorded.data, 3)
+      assert.strictEqual(machine.data, 2)
+    })
+
+    it('waits for asynchronous events', function() {
+      const definition = function(fsm) {
+        fsm.withHistory()
+        fsm.startWith('idle', [])
+        fsm.when('idle', function(state) {
+          state.on('load', (data, item) => Promise.resolve(['idle', data.concat([item])]))
+        })
+      }
+      const recorded = fsm.create(definition)
+      return Promise.all([recorded.fire('load', 'a'), recorded.fire('load', 'b')]).then(() => {
+        return fsm.replay(definition, recorded.history())
+      }).then(machine => {
+        assert.deepStrictEqual(machine.data, ['a', 'b'])
+      })
+    })
+  })
+})
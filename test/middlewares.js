@@ -0,0 +1,138 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+
+/**
+ * Defines a document review: only reviewers can validate a document in review.
+ * The given middlewares are used in order.
+ */
+function review(middlewares) {
+  return fsm.create(function(fsm) {
+    middlewares.forEach(middleware => fsm.use(middleware))
+    fsm.startWith('draft', { user: 'author', history: [] })
+    fsm.when('draft', function(state) {
+      state.on('submit', function(data) {
+        return ['review', { user: data.user, history: data.history.concat(['submitted']) }]
+      })
+    })
+    fsm.when('review', function(state) {
+      state.on('validate', function(data, comment) {
+        return ['published', { user: data.user, history: data.history.concat(['validated: ' + comment]) }]
+      })
+      state.on('reject', function(data) {
+        return Promise.resolve(['draft', data])
+      })
+      state.on('withdraw', function() {
+        return this.goto('draft')
+      })
+    })
+    fsm.when('published', function() {})
+  })
+}
+
+describe('middlewares', function() {
+  it('wraps handlers in declaration order', function() {
+    const calls = []
+    const track = name => function(ctx, next) {
+      calls.push('before ' + name + ' ' + ctx.event + ' in ' + ctx.state)
+      const result = next()
+      calls.push('after ' + name + ' ' + result[0])
+      return result
+    }
+    review([track('a'), track('b')]).fire('submit')
+    assert.deepStrictEqual(calls, ['before a submit in draft', 'before b submit in draft', 'after b review', 'after a review'])
+  })
+
+  it('can rewrite the event and its arguments', function() {
+    const machine = review([function(ctx, next) {
+      if (ctx.event === 'approve') {
+        ctx.event = 'validate'
+        ctx.args = ['approved: ' + ctx.args[0]]
+      }
+      return next()
+    }])
+    machine.fire('submit').fire('approve', 'ok')
+    assert.strictEqual(machine.state, 'published')
+    assert.deepStrictEqual(machine.data.history, ['submitted', 'validated: approved: ok'])
+  })
+
+  it('can veto an event', function() {
+    const machine = review([function(ctx, next) {
+      if (ctx.event === 'validate' && ctx.state === 'review' && ctx.data.user !== 'reviewer') {
+        ctx.veto('only reviewers can validate')
+      }
+      return next()
+    }]).fire('submit')
+    assert.throws(() => machine.fire('validate', 'ok'), function(error) {
+      return error instanceof fsm.EventVetoedError &&
+        error.message === 'The event "validate" was vetoed in state "review": only reviewers can validate' &&
+        error.event === 'validate' && error.state === 'review'
+    })
+    assert.strictEqual(machine.state, 'review')
+  })
+
+  it('can post-process the next state and data', function() {
+    const machine = review([function(ctx, next) {
+      const result = next()
+      return [result[0], { user: result[1].user, history: result[1].history.concat(['audited']) }]
+    }])
+    assert.deepStrictEqual(machine.fire('submit').data.history, ['submitted', 'audited'])
+  })
+
+  it('gives the next state and data of transition results', function() {
+    const machine = review([function(ctx, next) {
+      const result = next()
+      return [result[0], { user: result[1].user, history: result[1].history.concat(['audited']) }]
+    }])
+    machine.fire('submit').fire('withdraw')
+    assert.strictEqual(machine.state, 'draft')
+    assert.deepStrictEqual(machine.data.history, ['submitted', 'audited', 'audited'])
+  })
+
+  it('gives the Promise of asynchronous handlers', function() {
+    const results = []
+    const machine = review([function(ctx, next) {
+      if (ctx.event !== 'reject') {
+        return next()
+      }
+      return next().then(function(result) {
+        results.push(result[0])
+        return result
+      })
+    }]).fire('submit')
+    return machine.fire('reject').then(() => {
+      assert.strictEqual(machine.state, 'draft')
+      assert.deepStrictEqual(results, ['draft'])
+    })
+  })
+
+  describe('logger', function() {
+    it('logs events with the next state or the error', function() {
+      const messages = []
+      const machine = review([fsm.logger(message => messages.push(message))])
+      machine.fire('submit')
+      assert.throws(() => machine.fire('submit'), fsm.UnknownEventError)
+      machine.fire('withdraw')
+      assert.deepStrictEqual(messages, [
+        'Event "submit" in state "draft" goes to state "review"',
+        'Event "submit" in state "review" failed: The event "submit" does not exist in state "review"',
+        'Event "withdraw" in state "review" goes to state "draft"'
+      ])
+    })
+  })
+
+  describe('timing', function() {
+    it('measures handlers until their Promise is settled', function() {
+      const measures = []
+      const machine = review([fsm.timing(measure => measures.push(measure))])
+      return machine.fire('submit').fire('reject').then(() => {
+        assert.deepStrictEqual(measures.map(measure => [measure.event, measure.state, measure.failed]), [
+          ['submit', 'draft', false],
+          ['reject', 'review', false]
+        ])
+        assert.ok(measures.every(measure => measure.duration >= 0))
+      })
+    })
+  })
+})
@@ -0,0 +1,118 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+
+/**
+ * Builds a counter which can be paused, a composite state counting with a nested "running" substate.
+ */
+function counter() {
+  return fsm.create(function(fsm) {
+    fsm.startWith('counting', 0)
+    fsm.when('counting', function(state) {
+      state.on('pause', function(data) {
+        return ['paused', data]
+      })
+      state.when('running', function(state) {
+        state.on('increment', function(data, step) {
+          return ['counting.running', data + step]
+        })
+      })
+    })
+    fsm.when('paused', function(state) {
+      state.on('resume', function(data) {
+        return ['counting', data]
+      })
+    })
+  })
+}
+
+describe('observers', function() {
+  it('notifies transitions, even when the state does not change', function() {
+    const notifications = []
+    const machine = counter()
+    machine.subscribe(notification => notifications.push(notification))
+    machine.fire('increment', 2).fire('pause')
+    assert.deepStrictEqual(notifications, [
+      { event: 'increment', args: [2], from: 'counting.running', to: 'counting.running', prevData: 0, data: 2 },
+      { event: 'pause', args: [], from: 'counting.running', to: 'paused', prevData: 2, data: 2 }
+    ])
+    assert.ok(Object.isFrozen(notifications[0]))
+  })
+
+  it('stops notifying once unsubscribed', function() {
+    const events = []
+    const machine = counter()
+    const unsubscribe = machine.subscribe(notification => events.push(notification.event))
+    machine.fire('increment', 1)
+    unsubscribe()
+    unsubscribe()
+    machine.fire('increment', 1)
+    assert.deepStrictEqual(events, ['increment'])
+  })
+
+  it('lets observers unsubscribe while being notified', function() {
+    const calls = []
+    const machine = counter()
+    const unsubscribe = machine.subscribe(function() {
+      calls.push('first')
+      unsubscribe()
+    })
+    machine.subscribe(() => calls.push('second'))
+    machine.fire('increment', 1).fire('increment', 1)
+    assert.deepStrictEqual(calls, ['first', 'second', 'second'])
+  })
+
+  it('notifies exited and entered states', function() {
+    const calls = []
+    const machine = counter()
+    machine.on('exit', notification => calls.push('exit ' + notification.state))
+    machine.on('enter', notification => calls.push('enter ' + notification.state))
+    machine.on('transition', notification => calls.push(notification.from + ' -> ' + notification.to))
+    machine.fire('pause').fire('resume')
+    assert.deepStrictEqual(calls, [
+      'exit counting.running', 'exit counting', 'enter paused', 'counting.running -> paused',
+      'exit paused', 'enter counting', 'enter counting.running', 'paused -> counting.running'
+    ])
+  })
+
+  it('notifies unhandled events', function() {
+    const notifications = []
+    const machine = counter()
+    machine.on('unhandled', notification => notifications.push(notification))
+    assert.throws(() => machine.fire('resume', 1), fsm.UnknownEventError)
+    assert.deepStrictEqual(notifications, [
+      { event: 'resume', args: [1], from: 'counting.running', to: 'counting.running', prevData: 0, data: 0 }
+    ])
+  })
+
+  it('notifies errors before the error handler', function() {
+    const calls = []
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith('idle', null)
+      fsm.onError(function(error, data) {
+        calls.push('error handler')
+        return ['idle', data]
+      })
+      fsm.when('idle', function(state) {
+        state.on('fail', function() {
+          throw new Error('broken')
+        })
+      })
+    })
+    machine.on('error', notification => calls.push(notification.event + ': ' + notification.error.message))
+    machine.fire('fail')
+    assert.deepStrictEqual(calls, ['fail: broken', 'error handler'])
+  })
+
+  it('refuses unknown notification types', function() {
+    assert.throws(() => counter().on('change', function() {}), RangeError)
+  })
+
+  it('counts observers in describe', function() {
+    const machine = counter()
+    machine.subscribe(function() {})
+    machine.on('error', function() {})
+    assert.strictEqual(machine.describe(false).observers, 2)
+  })
+})
@@ -0,0 +1,88 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+
+/**
+ * Builds the lift machine of the samples, with a guard on color changes.
+ */
+function lift() {
+  return fsm.create(function(fsm) {
+    fsm.startWith('down', { colorIndex: 0 })
+    fsm.when('up', function(state) {
+      state.on('go down', function(data) {
+        return ['down', data]
+      })
+    })
+    fsm.when('down', function(state) {
+      state.on('go up', function(data) {
+        return ['up', data]
+      })
+      state.on('change', { guard: (data, direction) => data.colorIndex + direction >= 0 }, function(data, direction) {
+        return ['down', { colorIndex: data.colorIndex + direction }]
+      })
+      state.on('*', function(data) {
+        return ['down', data]
+      })
+    })
+  })
+}
+
+describe('queries', function() {
+  it('exposes the current state and data', function() {
+    const machine = lift()
+    assert.strictEqual(machine.state, 'down')
+    assert.deepStrictEqual(machine.data, { colorIndex: 0 })
+    machine.fire('change', 1).fire('go up')
+    assert.strictEqual(machine.state, 'up')
+    assert.deepStrictEqual(machine.data, { colorIndex: 1 })
+  })
+
+  it('checks the current state with is', function() {
+    const machine = lift()
+    assert.ok(machine.is('down'))
+    assert.ok(!machine.is('up'))
+  })
+
+  it('checks if an event can be fired, with guards and without side effects', function() {
+    const machine = lift()
+    assert.ok(machine.can('go up'))
+    assert.ok(!machine.can('go down'))
+    assert.ok(!machine.can('*'))
+    assert.ok(machine.can('change', 1))
+    assert.ok(!machine.can('change', -1))
+    assert.strictEqual(machine.state, 'down')
+    assert.deepStrictEqual(machine.data, { colorIndex: 0 })
+  })
+
+  it('lists available events of the current state', function() {
+    const machine = lift()
+    assert.deepStrictEqual(machine.availableEvents(), ['go up', 'change'])
+    machine.fire('change', 1)
+    assert.deepStrictEqual(machine.availableEvents(), ['go up', 'change'])
+    machine.fire('go up')
+    assert.deepStrictEqual(machine.availableEvents(), ['go down'])
+  })
+
+  it('lists guarded events without calling their guards', function() {
+    const guards = []
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith('cart', { items: [] })
+      fsm.when('cart', function(state) {
+        state.on('checkout', { guard: data => guards.push('checkout') && data.items.length > 0 }, function(data) {
+          return ['cart', data]
+        })
+        state.on('add', { guard: (data, ...items) => guards.push('add') && items[0].size > 0 }, function(data, item) {
+          return ['cart', { items: data.items.concat([item]) }]
+        })
+        state.on('remove', { guard: function(data) { return guards.push('remove') && arguments[1].size > 0 } }, function(data) {
+          return ['cart', data]
+        })
+      })
+    })
+    assert.deepStrictEqual(machine.availableEvents(), ['checkout', 'add', 'remove'])
+    assert.deepStrictEqual(guards, [])
+    assert.ok(machine.can('add', { size: 1 }))
+    assert.ok(!machine.can('checkout'))
+  })
+})
@@ -0,0 +1,157 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+
+describe('event queue', function() {
+  /**
+   * Builds a machine whose handlers and actions fire other events, recording every step in <tt>calls</tt>.
+   */
+  function chain(calls, configure) {
+    return fsm.create(function(fsm) {
+      fsm.startWith('a', 0)
+      fsm.when('a', function(state) {
+        state.onExit(function() {
+          calls.push('exit a')
+        })
+        state.on('go', function(data) {
+          calls.push('handle go')
+          this.fire('first')
+          this.execute(() => {
+            calls.push('execute')
+            this.fire('third')
+          })
+          return ['b', data]
+        })
+      })
+      fsm.when('b', function(state) {
+        state.onEnter(function() {
+          calls.push('enter b')
+          this.fire('second')
+        })
+        state.on('*', function(data, event) {
+          calls.push('handle ' + event.name)
+          return ['b', data]
+        })
+      })
+      if (configure) {
+        configure(fsm)
+      }
+    })
+  }
+
+  it('processes events fired during a transition after it, in FIFO order', function() {
+    const calls = []
+    chain(calls).fire('go')
+    assert.deepStrictEqual(calls, ['handle go', 'exit a', 'enter b', 'execute', 'handle first', 'handle second', 'handle third'])
+  })
+
+  it('processes events fired by entry actions of the initial state after the start', function() {
+    const calls = []
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith('a', 0)
+      fsm.when('a', function(state) {
+        state.onEnter(function() {
+          this.fire('init')
+          calls.push('entered')
+        })
+        state.on('init', function(data) {
+          calls.push('init')
+          return ['a', data + 1]
+        })
+      })
+    })
+    assert.deepStrictEqual(calls, ['entered', 'init'])
+    assert.strictEqual(machine.data, 1)
+  })
+
+  it('queues sent events and processes them asynchronously', function() {
+    const clock = new fsm.ManualClock()
+    const calls = []
+    const machine = chain(calls, function(fsm) {
+      fsm.withClock(clock)
+    })
+    machine.send('go')
+    assert.deepStrictEqual(calls, [])
+    assert.strictEqual(machine.describe(false)['queued events'], 1)
+    clock.advance(0)
+    assert.strictEqual(calls.length, 7)
+    assert.strictEqual(machine.state, 'b')
+  })
+
+  it('processes sent events before a fired event when the FSM is idle', function() {
+    const clock = new fsm.ManualClock()
+    const calls = []
+    const machine = chain(calls, function(fsm) {
+      fsm.withClock(clock)
+    })
+    machine.fire('go')
+    calls.length = 0
+    machine.send('x').fire('y')
+    assert.deepStrictEqual(calls, ['handle x', 'handle y'])
+    clock.advance(0)
+    assert.deepStrictEqual(calls, ['handle x', 'handle y'])
+  })
+
+  it('raises QueueOverflowError when the queue is full', function() {
+    const machine = fsm.create(function(fsm) {
+      fsm.withMaxQueueDepth(3)
+      fsm.startWith('storm', 0)
+      fsm.when('storm', function(state) {
+        state.on('lightning', function(data) {
+          this.fire('thunder').fire('thunder').fire('thunder').fire('thunder')
+          return ['storm', data]
+        })
+        state.on('thunder', function(data) {
+          return ['storm', data + 1]
+        })
+      })
+    })
+    assert.throws(function() {
+      machine.fire('lightning')
+    }, function(error) {
+      assert.ok(error instanceof fsm.QueueOverflowError)
+      assert.strictEqual(error.event, 'thunder')
+      return true
+    })
+  })
+
+  it('raises QueueOverflowError when a handler fires its own event', function() {
+    const machine = fsm.create(function(fsm) {
+      fsm.withMaxQueueDepth(10)
+      fsm.startWith('echo', 0)
+      fsm.when('echo', function(state) {
+        state.on('ping', function(data) {
+          this.fire('ping')
+          return ['echo', data + 1]
+        })
+      })
+    })
+    assert.throws(() => machine.fire('ping'), fsm.QueueOverflowError)
+    assert.strictEqual(machine.data, 10)
+    assert.strictEqual(machine.describe(false)['queued events'], 0)
+  })
+
+  it('drops remaining events when an event fails', function() {
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith('a', [])
+      fsm.when('a', function(state) {
+        state.on('batch', function(data) {
+          this.fire('unknown')
+          this.fire('log', 'after')
+          return ['a', data]
+        })
+        state.on('log', function(data, text) {
+          return ['a', data.concat([text])]
+        })
+      })
+    })
+    assert.throws(function() {
+      machine.fire('batch')
+    }, fsm.UnknownEventError)
+    assert.deepStrictEqual(machine.data, [])
+    assert.strictEqual(machine.describe(false)['queued events'], 0)
+    machine.fire('log', 'next')
+    assert.deepStrictEqual(machine.data, ['next'])
+  })
+})
@@ -0,0 +1,198 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+const Done = fsm.Done
+
+/**
+ * Builds a screen with two independent concerns: the connection status and the edit mode.
+ * Entry and exit actions are logged in the given array.
+ */
+function screen(log) {
+  return fsm.create(function(fsm) {
+    fsm.startWith({ mode: 'viewing' }, { events: [] })
+    fsm.region('connection', function(region) {
+      region.when('offline', function(state) {
+        state.onEnter(() => log.push('enter connection.offline'))
+        state.onExit(() => log.push('exit connection.offline'))
+        state.on('connect', function(data) {
+          return ['connection.online', { events: data.events.concat(['connected']) }]
+        }, { to: 'connection.online' })
+      })
+      region.when('online', function(state) {
+        state.onEnter(() => log.push('enter connection.online'))
+        state.on('logout', function(data) {
+          return ['connection.offline', { events: data.events.concat(['disconnected']) }]
+        }, { to: 'connection.offline' })
+      })
+    })
+    fsm.region('mode', function(region) {
+      region.when('viewing', function(state) {
+        state.onExit(() => log.push('exit mode.viewing'))
+        state.on('edit', function(data) {
+          return ['mode.editing', data]
+        }, { to: 'mode.editing' })
+      })
+      region.when('editing', function(state) {
+        state.onEnter(() => log.push('enter mode.editing'))
+        state.on('logout', function(data) {
+          return ['mode.viewing', { events: data.events.concat(['saved']) }]
+        }, { to: 'mode.viewing' })
+      })
+    })
+  })
+}
+
+describe('parallel regions', function() {
+  it('starts in the initial state of each region', function() {
+    const log = []
+    const machine = screen(log)
+    assert.deepStrictEqual(machine.state, { connection: 'offline', mode: 'viewing' })
+    assert.deepStrictEqual(log, ['enter connection.offline'])
+  })
+
+  it('gives the event to the regions handling it', function() {
+    const log = []
+    const machine = screen(log)
+    machine.fire('connect').fire('edit')
+    assert.deepStrictEqual(machine.state, { connection: 'online', mode: 'editing' })
+    assert.deepStrictEqual(log, ['enter connection.offline', 'exit connection.offline', 'enter connection.online', 'exit mode.viewing', 'enter mode.editing'])
+  })
+
+  it('gives the data returned by a region to the next one', function() {
+    const machine = screen([]).fire('connect').fire('edit').fire('logout')
+    assert.deepStrictEqual(machine.state, { connection: 'offline', mode: 'viewing' })
+    assert.deepStrictEqual(machine.data, { events: ['connected', 'disconnected', 'saved'] })
+  })
+
+  it('notifies listeners once per event with the state of all regions', function() {
+    const changes = []
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith(null, null)
+      fsm.onStateChanged((from, to) => changes.push([String(from), String(to)]))
+      fsm.region('a', function(region) {
+        region.when('x', state => state.on('go', data => ['a.y', data]))
+        region.when('y', function() {})
+      })
+      fsm.region('b', function(region) {
+        region.when('x', state => state.on('go', data => ['b.y', data]))
+        region.when('y', function() {})
+      })
+    })
+    machine.fire('go')
+    assert.deepStrictEqual(changes, [['a.x, b.x', 'a.y, b.y']])
+  })
+
+  it('throws when no region handles the event', function() {
+    const machine = screen([])
+    assert.throws(() => machine.fire('logout'), fsm.UnknownEventError)
+    assert.deepStrictEqual(machine.state, { connection: 'offline', mode: 'viewing' })
+  })
+
+  it('refuses states of another region and asynchronous handlers', function() {
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith(null, null)
+      fsm.region('a', function(region) {
+        region.when('x', function(state) {
+          state.on('cross', data => ['b.x', data])
+          state.on('async', data => Promise.resolve(['a.x', data]))
+        })
+      })
+      fsm.region('b', function(region) {
+        region.when('x', function() {})
+      })
+    })
+    assert.throws(() => machine.fire('cross'), fsm.InvalidHandlerResultError)
+    assert.throws(() => machine.fire('async'), fsm.InvalidHandlerResultError)
+  })
+
+  it('answers queries for all regions', function() {
+    const machine = screen([]).fire('connect')
+    assert.ok(machine.is('connection.online'))
+    assert.ok(machine.is('mode'))
+    assert.ok(!machine.is('mode.editing'))
+    assert.ok(machine.can('logout'))
+    assert.deepStrictEqual(machine.availableEvents(), ['logout', 'edit'])
+  })
+
+  it('fires Done when all regions are in final states', function() {
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith(null, [])
+      fsm.region('upload', function(region) {
+        region.on(Done, data => ['upload.idle', data.concat(['done'])])
+        region.when('idle', state => state.on('start', data => ['upload.running', data]))
+        region.when('running', state => state.on('uploaded', data => ['upload.finished', data]))
+        region.when('finished', { final: true }, function() {})
+      })
+      fsm.region('scan', function(region) {
+        region.when('running', state => state.on('scanned', data => ['scan.finished', data]))
+        region.when('finished', { final: true }, function() {})
+      })
+    })
+    machine.fire('start').fire('uploaded')
+    assert.deepStrictEqual(machine.data, [])
+    machine.fire('scanned')
+    assert.deepStrictEqual(machine.state, { upload: 'idle', scan: 'finished' })
+    assert.deepStrictEqual(machine.data, ['done'])
+  })
+
+  it('ignores Done when no region handles it', function() {
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith(null, null)
+      fsm.region('a', function(region) {
+        region.when('x', state => state.on('end', data => ['a.y', data]))
+        region.when('y', { final: true }, function() {})
+      })
+    })
+    assert.deepStrictEqual(machine.fire('end').state, { a: 'y' })
+  })
+
+  it('restores snapshots of all regions', function() {
+    const snapshot = screen([]).fire('edit').snapshot()
+    assert.deepStrictEqual(snapshot.state, { connection: 'offline', mode: 'editing' })
+    const machine = fsm.restore(function(fsm) {
+      fsm.region('connection', region => region.when('offline', function() {}))
+      fsm.region('mode', function(region) {
+        region.when('viewing', function() {})
+        region.when('editing', function() {})
+      })
+    }, snapshot)
+    assert.deepStrictEqual(machine.state, { connection: 'offline', mode: 'editing' })
+  })
+
+  it('describes regions', function() {
+    const description = screen([]).describe(false)
+    assert.deepStrictEqual(description.regions, ['connection', 'mode'])
+    assert.deepStrictEqual(description.states.map(state => state.name), ['connection', 'mode'])
+  })
+
+  it('draws an initial state for each region', function() {
+    const mermaid = screen([]).toMermaid()
+    assert.ok(mermaid.indexOf('  [*] --> s0\n  [*] --> s4\n') >= 0)
+    assert.ok(mermaid.indexOf('  class s1 current\n  class s4 current\n') >= 0)
+  })
+
+  describe('validation', function() {
+    it('reports a valid definition', function() {
+      const report = screen([]).validate()
+      assert.deepStrictEqual(report.errors, [])
+      assert.deepStrictEqual(report.warnings, [])
+    })
+
+    it('reports states outside regions, cross-region targets and unknown initial states', function() {
+      const report = fsm.create(function(fsm) {
+        fsm.startWith({ a: 'z' }, null)
+        fsm.region('a', function(region) {
+          region.when('x', state => state.on('go', data => ['b.x', data], { to: 'b.x' }))
+        })
+        fsm.region('b', region => region.when('x', function() {}))
+        fsm.when('c', function() {})
+      }).validate()
+      assert.deepStrictEqual(report.errors.map(error => [error.code, error.state]), [
+        ['unknown-initial-state', 'a'],
+        ['cross-region-target', 'a.x'],
+        ['state-outside-regions', 'c']
+      ])
+    })
+  })
+})
@@ -0,0 +1,208 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+const ManualClock = fsm.ManualClock
+
+const document = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- A document workflow -->
+<scxml xmlns="http://www.w3.org/2005/07/scxml" version="1.0" initial="editing">
+  <datamodel>
+    <data id="saved" expr="0"/>
+  </datamodel>
+  <state id="editing" initial="draft">
+    <transition event="cancel" target="closed"/>
+    <state id="draft">
+      <onentry>
+        <script>countSave</script>
+      </onentry>
+      <transition event="submit" cond="isComplete" target="review"/>
+    </state>
+    <state id="review">
+      <transition event="reject" target="draft"/>
+    </state>
+  </state>
+  <final id="closed"/>
+</scxml>
+`
+
+const registry = {
+  actions: {
+    countSave: function(oldData, newData) {
+      newData.saved++
+    }
+  },
+  guards: {
+    isComplete: function(data, complete) {
+      return complete === true
+    }
+  }
+}
+
+describe('SCXML', function() {
+  it('builds the FSM described by a SCXML document', function() {
+    const machine = fsm.fromSCXML(document, registry)
+    assert.strictEqual(machine.state, 'editing.draft')
+    assert.deepStrictEqual(machine.data, { saved: 1 })
+    assert.throws(() => machine.fire('submit', false), fsm.NoMatchingGuardError)
+    machine.fire('submit', true).fire('reject')
+    assert.strictEqual(machine.state, 'editing.draft')
+    assert.deepStrictEqual(machine.data, { saved: 2 })
+    assert.strictEqual(machine.fire('cancel').state, 'closed')
+  })
+
+  it('converts SCXML into a configuration', function() {
+    assert.deepStrictEqual(fsm.fromSCXML(document, registry).toConfig(), {
+      initial: 'editing',
+      data: { saved: 0 },
+      states: {
+        editing: {
+          initial: 'draft',
+          on: { cancel: 'closed' },
+          states: {
+            draft: {
+              onEnter: ['countSave'],
+              on: { submit: { target: 'editing.review', guard: 'isComplete' } }
+            },
+            review: {
+              on: { reject: 'editing.draft' }
+            }
+          }
+        },
+        closed: { final: true }
+      }
+    })
+  })
+
+  it('writes SCXML documents which can be read again', function() {
+    const scxml = fsm.fromSCXML(document, registry).toSCXML()
+    assert.strictEqual(scxml, [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<scxml xmlns="http://www.w3.org/2005/07/scxml" version="1.0" initial="editing">',
+      '  <datamodel>',
+      '    <data id="saved" expr="0"/>',
+      '  </datamodel>',
+      '  <state id="editing" initial="editing.draft">',
+      '    <transition event="cancel" target="closed"/>',
+      '    <state id="editing.draft">',
+      '      <onentry>',
+      '        <script>countSave</script>',
+      '      </onentry>',
+      '      <transition event="submit" cond="isComplete" target="editing.review"/>',
+      '    </state>',
+      '    <state id="editing.review">',
+      '      <transition event="reject" target="editing.draft"/>',
+      '    </state>',
+      '  </state>',
+      '  <final id="closed"/>',
+      '</scxml>',
+      ''
+    ].join('\n'))
+    assert.strictEqual(fsm.fromSCXML(scxml, registry).toSCXML(), scxml)
+  })
+
+  it('reads parallel states as regions', function() {
+    const machine = fsm.fromSCXML(`
+      <scxml xmlns="http://www.w3.org/2005/07/scxml" version="1.0">
+        <parallel id="screen">
+          <state id="connection">
+            <state id="offline"><transition event="connect" target="online"/></state>
+            <state id="online"/>
+          </state>
+          <state id="mode" initial="editing">
+            <state id="viewing"/>
+            <state id="editing"/>
+          </state>
+        </parallel>
+      </scxml>`)
+    assert.deepStrictEqual(machine.state, { connection: 'offline', mode: 'editing' })
+    assert.deepStrictEqual(machine.fire('connect').state, { connection: 'online', mode: 'editing' })
+    const scxml = machine.toSCXML()
+    assert.ok(scxml.indexOf('  <parallel id="regions">\n    <state id="connection">\n') >= 0)
+    assert.ok(scxml.indexOf('    <state id="mode" initial="mode.editing">\n') >= 0)
+  })
+
+  it('reports unsupported features with their line', function() {
+    try {
+      fsm.fromSCXML([
+        '<scxml xmlns="http://www.w3.org/2005/07/scxml" version="1.0">',
+        '  <state id="a">',
+        '    <onentry><log expr="\'entering\'"/></onentry>',
+        '    <transition target="b"/>',
+        '    <history id="h"/>',
+        '  </state>',
+        '  <state id="b"/>',
+        '</scxml>'
+      ].join('\n'))
+      assert.fail('the document should be refused')
+    } catch (error) {
+      assert.ok(error instanceof fsm.SCXMLError)
+      assert.deepStrictEqual(error.errors.map(issue => issue.message), [
+        'The executable content <log> is not supported, only <script> with an action name (line 3)',
+        'The <transition> without event is not supported (line 4)',
+        'The element <history> is not supported in <state> (line 5)'
+      ])
+    }
+  })
+
+  it('reports documents which are not well-formed', function() {
+    assert.throws(() => fsm.fromSCXML('<scxml>\n  <state id="a">\n</scxml>'), function(error) {
+      return error instanceof fsm.SCXMLError && error.errors[0].message === 'Unexpected closing tag </scxml> (line 3)'
+    })
+  })
+
+  it('writes FSMs built with code from their declared transitions', function() {
+    const isComplete = data => data.saved > 0
+    const countSave = function() {}
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith('editing', { saved: 0 })
+      fsm.when('editing', { initial: 'draft' }, function(state) {
+        state.on('cancel', data => ['closed', data], { to: 'closed' })
+        state.when('draft', function(draft) {
+          draft.onEnter(countSave)
+          draft.on('submit', { guard: isComplete, to: 'editing.review' }, data => ['editing.review', data])
+        })
+        state.when('review', function(review) {
+          review.on('reject', data => ['editing.draft', data], { to: 'editing.draft' })
+        })
+      })
+      fsm.when('closed', { final: true }, function() {})
+    })
+    const scxml = machine.toSCXML()
+    assert.strictEqual(scxml, fsm.fromSCXML(document, registry).toSCXML())
+    assert.strictEqual(fsm.fromSCXML(scxml, registry).state, 'editing.draft')
+  })
+
+  it('reports parts of FSMs built with code which cannot be written in SCXML', function() {
+    const machine = fsm.create(function(fsm) {
+      fsm.withClock(new ManualClock())
+      fsm.startWith('a', null)
+      fsm.when('a', { timeout: 100 }, function(state) {
+        state.onEnter(() => {})
+        state.on('go', { guard: data => data != null }, data => ['b', data])
+        state.on('next', data => ['b', data], { to: 'b' })
+      })
+      fsm.when('b', function(state) {
+        state.defer('go')
+      })
+      fsm.whenUnhandled((data, event) => [event.state, data])
+    })
+    assert.throws(() => machine.toSCXML(), function(error) {
+      return error instanceof fsm.SCXMLError && assert.deepStrictEqual(error.errors.map(issue => issue.message), [
+        'The unhandled handler cannot be written in SCXML',
+        'An anonymous entry action of the state "a" cannot be written in SCXML',
+        'The handler of the event "go" in the state "a" must declare one target (option to) to be written in SCXML',
+        'The anonymous guard of the event "go" in the state "a" cannot be written in SCXML, give it a label',
+        'The deferred events of the state "b" cannot be written in SCXML',
+        'The timeout of the state "a" cannot be written in SCXML'
+      ]) == null
+    })
+  })
+
+  it('reports features which cannot be written in SCXML', function() {
+    const machine = fsm.fromConfig({ initial: 'a', states: { a: { pending: 'b' }, b: {} } })
+    assert.throws(() => machine.toSCXML(), function(error) {
+      return error instanceof fsm.SCXMLError && error.errors[0].message === 'The pending state of the state "a" cannot be written in SCXML'
+    })
+  })
+})
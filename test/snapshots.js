@@ -0,0 +1,127 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+
+/**
+ * Document workflow initializer, with optional additional configuration of the builder.
+ */
+function workflow(calls, configure) {
+  return function(fsm) {
+    fsm.startWith('draft', { title: 'untitled', reviews: [] })
+    fsm.when('draft', function(state) {
+      state.onEnter(function() {
+        calls.push('enter draft')
+      })
+      state.on('submit', function(data) {
+        return ['review', data]
+      })
+    })
+    fsm.when('review', function(state) {
+      state.onEnter(function() {
+        calls.push('enter review')
+      })
+      state.on('comment', function(data, text) {
+        return ['review', { title: data.title, reviews: data.reviews.concat([text]) }]
+      })
+    })
+    if (configure) {
+      configure(fsm)
+    }
+  }
+}
+
+describe('snapshots', function() {
+  it('returns a versioned JSON-safe snapshot', function() {
+    const machine = fsm.create(workflow([])).fire('submit').fire('comment', 'ok')
+    const snapshot = machine.snapshot()
+    assert.deepStrictEqual(snapshot, {
+      format: 'fms-js/snapshot@1',
+      version: 1,
+      state: 'review',
+      data: { title: 'untitled', reviews: ['ok'] }
+    })
+    assert.ok(Object.isFrozen(snapshot))
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(snapshot)), snapshot)
+    assert.notStrictEqual(snapshot.data, machine.data)
+  })
+
+  it('restores a machine from a snapshot without calling entry actions', function() {
+    const snapshot = JSON.parse(JSON.stringify(fsm.create(workflow([])).fire('submit').snapshot()))
+    const calls = []
+    const machine = fsm.restore(workflow(calls), snapshot)
+    assert.strictEqual(machine.state, 'review')
+    assert.deepStrictEqual(machine.data, { title: 'untitled', reviews: [] })
+    assert.deepStrictEqual(calls, [])
+    machine.fire('comment', 'nice')
+    assert.deepStrictEqual(machine.data.reviews, ['nice'])
+  })
+
+  it('restores an instance of a definition', function() {
+    const calls = []
+    const definition = fsm.define(workflow(calls))
+    const snapshot = definition.start().fire('submit').snapshot()
+    calls.length = 0
+    const machine = fsm.restore(definition, snapshot, { context: 'restored' })
+    assert.strictEqual(machine.state, 'review')
+    assert.strictEqual(machine.context, 'restored')
+    assert.deepStrictEqual(calls, [])
+  })
+
+  it('restores with the from option of create', function() {
+    const snapshot = fsm.create(workflow([])).fire('submit').snapshot()
+    assert.strictEqual(fsm.create(workflow([]), { from: snapshot }).state, 'review')
+  })
+
+  it('uses the configured data serializer', function() {
+    const serializer = {
+      serialize: data => ({ title: data.title, reviews: data.reviews.join('|') }),
+      deserialize: json => ({ title: json.title, reviews: json.reviews ? json.reviews.split('|') : [] })
+    }
+    const init = workflow([], function(fsm) {
+      fsm.serializeWith(serializer)
+    })
+    const snapshot = fsm.create(init).fire('submit').fire('comment', 'a').fire('comment', 'b').snapshot()
+    assert.deepStrictEqual(snapshot.data, { title: 'untitled', reviews: 'a|b' })
+    assert.deepStrictEqual(fsm.restore(init, snapshot).data.reviews, ['a', 'b'])
+  })
+
+  it('migrates snapshots taken under an older version', function() {
+    const snapshot = fsm.create(workflow([])).fire('submit').snapshot()
+    const migrations = []
+    const machine = fsm.restore(workflow([], function(fsm) {
+      fsm.withVersion(2)
+      fsm.migrate(function(snapshot, from, to) {
+        migrations.push([from, to])
+        return {
+          format: snapshot.format,
+          version: to,
+          state: snapshot.state,
+          data: { title: snapshot.data.title.toUpperCase(), reviews: snapshot.data.reviews }
+        }
+      })
+    }), snapshot)
+    assert.deepStrictEqual(migrations, [[1, 2]])
+    assert.strictEqual(machine.data.title, 'UNTITLED')
+    assert.strictEqual(machine.snapshot().version, 2)
+  })
+
+  it('rejects invalid snapshots', function() {
+    const snapshot = fsm.create(workflow([])).snapshot()
+    const invalid = [
+      null,
+      { state: 'draft', data: null },
+      Object.assign({}, snapshot, { state: 'published' })
+    ]
+    invalid.forEach(function(candidate) {
+      assert.throws(function() {
+        fsm.restore(workflow([]), candidate)
+      }, fsm.InvalidSnapshotError)
+    })
+    assert.throws(function() {
+      fsm.restore(workflow([], function(fsm) {
+        fsm.withVersion(2)
+      }), snapshot)
+    }, /does not match the FSM version 2/)
+  })
+})
@@ -0,0 +1,100 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+
+/**
+ * Builds the uploader of the README: files chosen while sending are handled once back in idle.
+ * With <tt>declared</tt>, the event is deferred by the state, otherwise it is stashed by its handler.
+ */
+function uploader(declared) {
+  return fsm.create(function(fsm) {
+    fsm.startWith('idle', { files: [], sent: [] })
+    fsm.when('idle', function(state) {
+      state.on('choose file', function(data, file) {
+        return ['sending', { files: [file], sent: data.sent }]
+      })
+    })
+    fsm.when('sending', function(state) {
+      if (declared) {
+        state.defer('choose file')
+      } else {
+        state.on('choose file', function() {
+          return this.stash()
+        })
+      }
+      state.on('sent', function(data) {
+        return ['idle', { files: [], sent: data.sent.concat(data.files) }]
+      })
+    })
+  })
+}
+
+describe('stash', function() {
+  it('fires stashed events again after the next state change, in order', function() {
+    const machine = uploader(false).fire('choose file', 'a.txt').fire('choose file', 'b.txt').fire('choose file', 'c.txt')
+    assert.deepStrictEqual(machine.describe(false)['stashed events'], ['choose file', 'choose file'])
+    machine.fire('sent')
+    assert.strictEqual(machine.state, 'sending')
+    assert.deepStrictEqual(machine.data, { files: ['b.txt'], sent: ['a.txt'] })
+    assert.deepStrictEqual(machine.describe(false)['stashed events'], ['choose file'])
+    machine.fire('sent').fire('sent')
+    assert.deepStrictEqual(machine.data, { files: [], sent: ['a.txt', 'b.txt', 'c.txt'] })
+  })
+
+  it('defers events declared by the state', function() {
+    const machine = uploader(true).fire('choose file', 'a.txt').fire('choose file', 'b.txt')
+    assert.deepStrictEqual(machine.describe(false).states[1].deferred, ['choose file'])
+    assert.deepStrictEqual(machine.fire('sent').data, { files: ['b.txt'], sent: ['a.txt'] })
+  })
+
+  it('fires stashed events before events queued meanwhile', function() {
+    const events = []
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith('busy', null)
+      fsm.when('busy', function(state) {
+        state.defer('work')
+        state.on('free', function(data) {
+          this.fire('other')
+          return ['free', data]
+        })
+      })
+      fsm.when('free', function(state) {
+        state.on('*', function(data, event) {
+          events.push(event.name)
+          return ['free', data]
+        })
+      })
+    })
+    machine.fire('work').fire('free')
+    assert.deepStrictEqual(events, ['work', 'other'])
+  })
+
+  it('stashes the event only if the transition succeeds', function() {
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith('a', null)
+      fsm.when('a', function(state) {
+        state.on('go', function() {
+          this.stash()
+          return ['unknown', null]
+        })
+      })
+    })
+    assert.throws(() => machine.fire('go'), fsm.UnknownStateError)
+    assert.deepStrictEqual(machine.describe(false)['stashed events'], [])
+  })
+
+  it('refuses to stash outside handlers', function() {
+    assert.throws(() => uploader(false).stash(), fsm.FSMError)
+  })
+
+  it('bounds the stash', function() {
+    const machine = fsm.create(function(fsm) {
+      fsm.withMaxStashSize(2)
+      fsm.startWith('busy', null)
+      fsm.when('busy', state => state.defer('work'))
+    })
+    machine.fire('work').fire('work')
+    assert.throws(() => machine.fire('work'), fsm.StashOverflowError)
+  })
+})
@@ -0,0 +1,118 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+const ManualClock = fsm.ManualClock
+
+/**
+ * Builds an upload which ends in the final state "uploaded".
+ * Termination listeners are logged in the given array.
+ */
+function upload(log, clock) {
+  return fsm.create(function(fsm) {
+    fsm.withClock(clock || new ManualClock())
+    fsm.startWith('idle', 0)
+    fsm.onTermination(function(reason, state, data) {
+      log.push([reason, state, data])
+    })
+    fsm.when('idle', function(state) {
+      state.on('start', function(data) {
+        this.setTimer('progress', 'progress', 10, true)
+        return this.goto('uploading')
+      })
+    })
+    fsm.when('uploading', function(state) {
+      state.on('progress', function(data) {
+        return this.stay().using(data + 1)
+      })
+      state.on('finish', function(data) {
+        this.executeOut(() => log.push('executed out'))
+        return this.goto('uploaded')
+      })
+    })
+    fsm.when('uploaded', { final: true }, function() {})
+  })
+}
+
+describe('termination', function() {
+  it('stops when entering a final state', function() {
+    const log = []
+    const machine = upload(log).fire('start').fire('finish')
+    assert.ok(machine.stopped)
+    assert.strictEqual(machine.state, 'uploaded')
+    assert.deepStrictEqual(log, [[undefined, 'uploaded', 0]])
+    assert.throws(() => machine.fire('start'), fsm.FSMStoppedError)
+  })
+
+  it('cancels timers and executeOut functions', function() {
+    const log = []
+    const clock = new ManualClock()
+    const machine = upload(log, clock).fire('start')
+    clock.advance(20)
+    machine.fire('finish')
+    clock.advance(100)
+    assert.strictEqual(machine.data, 2)
+    assert.deepStrictEqual(log, [[undefined, 'uploaded', 2]])
+    assert.deepStrictEqual(machine.describe(false)['active timers'], [])
+  })
+
+  it('stops from outside with a reason', function() {
+    const log = []
+    const clock = new ManualClock()
+    const machine = upload(log, clock).fire('start')
+    assert.strictEqual(machine.stop('unmounted'), machine)
+    clock.advance(100)
+    assert.strictEqual(machine.data, 0)
+    assert.deepStrictEqual(log, [['unmounted', 'uploading', 0]])
+    assert.throws(() => machine.setTimer('retry', 'start', 10), fsm.FSMStoppedError)
+    machine.stop('again')
+    assert.strictEqual(log.length, 1)
+  })
+
+  it('rejects events queued behind a pending transition', function() {
+    let resolve = null
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith('idle', null)
+      fsm.when('idle', function(state) {
+        state.on('load', () => new Promise(r => resolve = r))
+        state.on('other', data => ['idle', data])
+      })
+    })
+    machine.fire('load')
+    const queued = machine.fire('other')
+    machine.stop()
+    resolve(['idle', 'loaded'])
+    return queued.then(() => assert.fail('not rejected'), error => {
+      assert.ok(error instanceof fsm.FSMStoppedError)
+      assert.strictEqual(machine.data, null)
+    })
+  })
+
+  it('resolves done with the reason and the last state and data', function() {
+    const machine = upload([])
+    const done = machine.done
+    machine.fire('start').stop('cancelled')
+    return Promise.all([done, machine.done]).then(results => {
+      assert.deepStrictEqual(results[0], { reason: 'cancelled', state: 'uploading', data: 0 })
+      assert.strictEqual(results[1].reason, 'cancelled')
+    })
+  })
+
+  it('does not stop in final states of regions', function() {
+    const machine = fsm.create(function(fsm) {
+      fsm.startWith(null, null)
+      fsm.region('a', function(region) {
+        region.when('x', state => state.on('end', data => ['a.y', data]))
+        region.when('y', { final: true }, function() {})
+      })
+    })
+    assert.ok(!machine.fire('end').stopped)
+  })
+
+  it('shows termination in describe', function() {
+    const machine = upload([])
+    assert.strictEqual(machine.describe(false)['termination listeners'], 1)
+    assert.strictEqual(machine.describe(false).stopped, false)
+    assert.strictEqual(machine.stop().describe(false).stopped, true)
+  })
+})
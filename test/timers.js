@@ -0,0 +1,236 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+const StateTimeout = fsm.StateTimeout
+
+/**
+ * Builds an upload machine going to <tt>failed</tt> if nothing happens in <tt>sending</tt> for 30 seconds.
+ */
+function upload(clock) {
+  return fsm.create(function(fsm) {
+    fsm.withClock(clock)
+    fsm.startWith('idle', 0)
+
+    fsm.when('idle', function(state) {
+      state.on('send', function(data) {
+        return ['sending', data]
+      })
+    })
+
+    fsm.when('sending', { timeout: 30000 }, function(state) {
+      state.on('progress', function(data) {
+        return ['sending', data + 1]
+      })
+      state.on('sent', function(data) {
+        return ['idle', data]
+      })
+      state.on(StateTimeout, function(data) {
+        return ['failed', data]
+      })
+    })
+
+    fsm.when('failed', function() {})
+  })
+}
+
+function currentState(machine) {
+  return machine.describe(false)['Current state'].state
+}
+
+describe('timers', function() {
+  describe('ManualClock', function() {
+    it('calls scheduled functions in chronological order when advanced', function() {
+      const clock = new fsm.ManualClock()
+      const calls = []
+      clock.setTimeout(() => calls.push('b'), 20)
+      clock.setTimeout(() => calls.push('a'), 10)
+      const cancelled = clock.setTimeout(() => calls.push('cancelled'), 15)
+      clock.setTimeout(() => calls.push('c'), 20)
+      clock.clearTimeout(cancelled)
+
+      clock.advance(9)
+      assert.deepStrictEqual(calls, [])
+      clock.advance(11)
+      assert.deepStrictEqual(calls, ['a', 'b', 'c'])
+      assert.strictEqual(clock.now(), 20)
+    })
+  })
+
+  describe('state timeout', function() {
+    it('fires StateTimeout when nothing happens in the state', function() {
+      const clock = new fsm.ManualClock()
+      const machine = upload(clock)
+      machine.fire('send')
+      clock.advance(29999)
+      assert.strictEqual(currentState(machine), 'sending')
+      clock.advance(1)
+      assert.strictEqual(currentState(machine), 'failed')
+    })
+
+    it('restarts the timeout each time an event is handled in the state', function() {
+      const clock = new fsm.ManualClock()
+      const machine = upload(clock)
+      machine.fire('send')
+      clock.advance(20000)
+      machine.fire('progress')
+      clock.advance(20000)
+      assert.strictEqual(currentState(machine), 'sending')
+      clock.advance(10000)
+      assert.strictEqual(currentState(machine), 'failed')
+    })
+
+    it('cancels the timeout when the state is left', function() {
+      const clock = new fsm.ManualClock()
+      const machine = upload(clock)
+      machine.fire('send').fire('sent')
+      clock.advance(60000)
+      assert.strictEqual(currentState(machine), 'idle')
+    })
+
+    it('schedules the timeout of the initial state', function() {
+      const clock = new fsm.ManualClock()
+      const machine = fsm.create(function(fsm) {
+        fsm.withClock(clock)
+        fsm.startWith('waiting', null)
+        fsm.when('waiting', { timeout: 100 }, function(state) {
+          state.on(StateTimeout, function(data) {
+            return ['done', data]
+          })
+        })
+        fsm.when('done', function() {})
+      })
+      clock.advance(100)
+      assert.strictEqual(currentState(machine), 'done')
+    })
+
+    it('reports errors of the timeout to error observers instead of throwing', function() {
+      const clock = new fsm.ManualClock()
+      const errors = []
+      const machine = fsm.create(function(fsm) {
+        fsm.withClock(clock)
+        fsm.startWith('waiting', null)
+        fsm.when('waiting', { timeout: 100 }, function(state) {
+          state.on('go', function(data) {
+            return ['waiting', data]
+          })
+        })
+      })
+      machine.on('error', notification => errors.push(notification))
+      clock.advance(100)
+      assert.strictEqual(errors.length, 1)
+      assert.ok(errors[0].error instanceof fsm.UnknownEventError)
+      assert.strictEqual(errors[0].event, StateTimeout)
+      assert.strictEqual(currentState(machine), 'waiting')
+    })
+
+    it('shows the timeout in describe', function() {
+      const states = upload(new fsm.ManualClock()).describe(false).states
+      assert.deepStrictEqual(states.map(state => state.timeout), [null, 30000, null])
+    })
+  })
+
+  describe('named timers', function() {
+    function ticker(clock) {
+      return fsm.create(function(fsm) {
+        fsm.withClock(clock)
+        fsm.startWith('running', 0)
+        fsm.when('running', function(state) {
+          state.on('start', function(data, repeat) {
+            this.setTimer('tick', ['tick', 2], 1000, repeat)
+            return ['running', data]
+          })
+          state.on('stop', function(data) {
+            this.cancelTimer('tick')
+            return ['running', data]
+          })
+          state.on('tick', function(data, step) {
+            return ['running', data + step]
+          })
+        })
+      })
+    }
+
+    function currentData(machine) {
+      return machine.describe(false)['Current state'].data
+    }
+
+    it('fires the event once after the delay', function() {
+      const clock = new fsm.ManualClock()
+      const machine = ticker(clock)
+      machine.fire('start', false)
+      assert.ok(machine.isTimerActive('tick'))
+      clock.advance(5000)
+      assert.strictEqual(currentData(machine), 2)
+      assert.ok(!machine.isTimerActive('tick'))
+    })
+
+    it('fires the event repeatedly until cancelled', function() {
+      const clock = new fsm.ManualClock()
+      const machine = ticker(clock)
+      machine.fire('start', true)
+      clock.advance(3000)
+      assert.strictEqual(currentData(machine), 6)
+      assert.deepStrictEqual(machine.describe(false)['active timers'], ['tick'])
+      machine.fire('stop')
+      clock.advance(3000)
+      assert.strictEqual(currentData(machine), 6)
+      assert.ok(!machine.isTimerActive('tick'))
+    })
+
+    it('replaces an active timer with the same name', function() {
+      const clock = new fsm.ManualClock()
+      const machine = ticker(clock)
+      machine.fire('start', false)
+      clock.advance(500)
+      machine.fire('start', false)
+      clock.advance(500)
+      assert.strictEqual(currentData(machine), 0)
+      clock.advance(500)
+      assert.strictEqual(currentData(machine), 2)
+    })
+  })
+
+  it('schedules executeOut functions with the FSM clock', function() {
+    const clock = new fsm.ManualClock()
+    const calls = []
+    const machine = fsm.create(function(fsm) {
+      fsm.withClock(clock)
+      fsm.startWith('a', null)
+      fsm.when('a', function(state) {
+        state.on('go', function(data) {
+          this.executeOut(() => calls.push('out'))
+          return ['a', data]
+        })
+      })
+    })
+    machine.fire('go')
+    assert.deepStrictEqual(calls, [])
+    clock.advance(0)
+    assert.deepStrictEqual(calls, ['out'])
+  })
+
+  it('reports errors of timers and executeOut functions to error observers', function() {
+    const clock = new fsm.ManualClock()
+    const errors = []
+    const machine = fsm.create(function(fsm) {
+      fsm.withClock(clock)
+      fsm.startWith('a', null)
+      fsm.when('a', function(state) {
+        state.on('go', function(data) {
+          this.setTimer('retry', 'retry', 10)
+          this.executeOut(() => {
+            throw new Error('out failed')
+          })
+          return ['a', data]
+        })
+      })
+    })
+    machine.on('error', notification => errors.push(notification))
+    machine.fire('go')
+    clock.advance(10)
+    assert.deepStrictEqual(errors.map(notification => notification.event), [null, 'retry'])
+    assert.strictEqual(errors[0].error.message, 'out failed')
+    assert.ok(errors[1].error instanceof fsm.UnknownEventError)
+  })
+})
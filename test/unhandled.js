@@ -0,0 +1,96 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+
+/**
+ * Builds a machine with optional wildcard handler on state <tt>a</tt> and optional unhandled handler.
+ */
+function machine(options) {
+  return fsm.create(function(fsm) {
+    fsm.startWith('a', 0)
+    fsm.when('a', function(state) {
+      state.on('known', function(data) {
+        return ['a', data + 1]
+      })
+      if (options.wildcard) {
+        state.on('*', options.wildcard)
+      }
+    })
+    fsm.when('b', function() {})
+    if (options.unhandled) {
+      fsm.whenUnhandled(options.unhandled)
+    }
+  })
+}
+
+function current(machine) {
+  const description = machine.describe(false)['Current state']
+  return [description.state, description.data]
+}
+
+describe('unhandled events', function() {
+  it('throws when no handler exists', function() {
+    assert.throws(function() {
+      machine({}).fire('unknown')
+    }, /The event "unknown" does not exist in state "a"/)
+  })
+
+  it('calls the state wildcard handler with the data and the event descriptor', function() {
+    const calls = []
+    const m = machine({
+      wildcard: function(data, event) {
+        calls.push([this, data, event])
+        return ['b', data]
+      }
+    })
+    m.fire('unknown', 1, 2)
+    assert.deepStrictEqual(calls, [[m, 0, { name: 'unknown', args: [1, 2], state: 'a' }]])
+    assert.ok(Object.isFrozen(calls[0][2]))
+    assert.deepStrictEqual(current(m), ['b', 0])
+  })
+
+  it('calls the global unhandled handler when the state has no wildcard handler', function() {
+    const calls = []
+    const m = machine({
+      unhandled: function(data, event) {
+        calls.push([this, data, event])
+        return [event.state, data]
+      }
+    })
+    m.fire('unknown', 'x')
+    assert.deepStrictEqual(calls, [[m, 0, { name: 'unknown', args: ['x'], state: 'a' }]])
+    assert.deepStrictEqual(current(m), ['a', 0])
+  })
+
+  it('resolves the state handler, then the wildcard, then the global handler', function() {
+    const calls = []
+    const m = machine({
+      wildcard: function(data) {
+        calls.push('wildcard')
+        return ['a', data]
+      },
+      unhandled: function(data) {
+        calls.push('unhandled')
+        return ['a', data]
+      }
+    })
+    m.fire('known').fire('unknown')
+    assert.deepStrictEqual(calls, ['wildcard'])
+    assert.deepStrictEqual(current(m), ['a', 1])
+  })
+
+  it('still requires the next state and data from fallback handlers', function() {
+    const m = machine({
+      unhandled: function() {}
+    })
+    assert.throws(function() {
+      m.fire('unknown')
+    }, /must return the next state and data/)
+  })
+
+  it('shows the unhandled handler in describe', function() {
+    assert.strictEqual(machine({}).describe(false)['unhandled handler'], false)
+    assert.strictEqual(machine({ unhandled: function() {} }).describe(false)['unhandled handler'], true)
+  })
+})
@@ -0,0 +1,152 @@
+'use strict'
+
+const assert = require('assert')
+const fsm = require('../src/fsm')
+const StateTimeout = fsm.StateTimeout
+
+function codes(issues) {
+  return issues.map(issue => issue.code + (issue.state != null ? ':' + issue.state : ''))
+}
+
+describe('validation', function() {
+  it('reports a valid definition', function() {
+    const report = fsm.create(function(fsm) {
+      fsm.startWith('a', null)
+      fsm.when('a', function(state) {
+        state.on('go', function(data) {
+          return ['b', data]
+        }, { to: 'b' })
+      })
+      fsm.when('b', function(state) {
+        state.on('back', function(data) {
+          return ['a', data]
+        }, { to: 'a' })
+      })
+    }).validate()
+    assert.deepStrictEqual(report, { valid: true, errors: [], warnings: [] })
+    assert.ok(Object.isFrozen(report))
+  })
+
+  it('reports a missing or unknown initial state', function() {
+    const missing = fsm.create(function(fsm) {
+      fsm.when('a', function() {})
+    }).validate()
+    assert.deepStrictEqual(codes(missing.errors), ['missing-initial-state'])
+    assert.strictEqual(missing.valid, false)
+
+    const unknown = fsm.create(function(fsm) {
+      fsm.startWith('b', null)
+      fsm.when('a', function() {})
+    }).validate()
+    assert.deepStrictEqual(codes(unknown.errors), ['unknown-initial-state:b'])
+  })
+
+  it('reports states declared several times', function() {
+    const report = fsm.create(function(fsm) {
+      fsm.startWith('a', null)
+      fsm.when('a', function() {})
+      fsm.when('a', function() {})
+    }).validate()
+    assert.deepStrictEqual(codes(report.errors), ['duplicate-state:a'])
+  })
+
+  it('reports unknown declared targets', function() {
+    const report = fsm.create(function(fsm) {
+      fsm.startWith('a', null)
+      fsm.when('a', function(state) {
+        state.on('go', function(data) {
+          return ['b', data]
+        }, { to: ['a', 'b'] })
+      })
+    }).validate()
+    assert.deepStrictEqual(report.errors.map(error => [error.code, error.state, error.event]), [['unknown-target', 'a', 'go']])
+  })
+
+  it('reports unknown pending states', function() {
+    const report = fsm.create(function(fsm) {
+      fsm.startWith('a', null)
+      fsm.when('a', { pending: 'loading' }, function() {})
+    }).validate()
+    assert.deepStrictEqual(codes(report.errors), ['unknown-pending-state:a'])
+  })
+
+  it('warns about unreachable and dead-end states', function() {
+    const report = fsm.create(function(fsm) {
+      fsm.startWith('a', null)
+      fsm.when('a', function(state) {
+        state.on('go', function(data) {
+          return ['b', data]
+        }, { to: 'b' })
+      })
+      fsm.when('b', function(state) {
+        state.on('stay', function(data) {
+          return ['b', data]
+        }, { to: 'b' })
+      })
+      fsm.when('c', function(state) {
+        state.on('go', function(data) {
+          return ['a', data]
+        }, { to: 'a' })
+      })
+    }).validate()
+    assert.strictEqual(report.valid, true)
+    assert.deepStrictEqual(codes(report.warnings), ['dead-end-state:b', 'unreachable-state:c'])
+  })
+
+  it('does not report unreachable states when targets are not all declared', function() {
+    const report = fsm.create(function(fsm) {
+      fsm.startWith('a', null)
+      fsm.when('a', function(state) {
+        state.on('go', function(data) {
+          return ['c', data]
+        })
+      })
+      fsm.when('c', function() {})
+    }).validate()
+    assert.deepStrictEqual(codes(report.warnings), ['dead-end-state:c'])
+  })
+
+  it('warns about state timeouts without handler', function() {
+    const report = fsm.create(function(fsm) {
+      fsm.startWith('a', null)
+      fsm.when('a', { timeout: 100 }, function(state) {
+        state.on('go', function(data) {
+          return ['b', data]
+        }, { to: 'b' })
+      })
+      fsm.when('b', { timeout: 100 }, function(state) {
+        state.on(StateTimeout, function(data) {
+          return ['a', data]
+        }, { to: 'a' })
+      })
+    }).validate()
+    assert.deepStrictEqual(report.warnings.map(warning => [warning.code, warning.state, warning.event]),
+      [['unhandled-timeout', 'a', 'StateTimeout']])
+  })
+
+  describe('strict mode', function() {
+    it('refuses to build an invalid definition', function() {
+      assert.throws(function() {
+        fsm.create(function(fsm) {
+          fsm.startWith('b', null)
+          fsm.when('a', function() {})
+          fsm.when('a', function() {})
+        }, { strict: true })
+      }, function(error) {
+        assert.ok(error instanceof fsm.InvalidDefinitionError)
+        assert.ok(error instanceof fsm.FSMError)
+        assert.deepStrictEqual(codes(error.errors), ['unknown-initial-state:b', 'duplicate-state:a'])
+        assert.ok(/The initial state "b" is not declared/.test(error.message))
+        return true
+      })
+    })
+
+    it('builds a definition with warnings only', function() {
+      const machine = fsm.create(function(fsm) {
+        fsm.startWith('a', null)
+        fsm.when('a', function() {})
+      }, { strict: true })
+      assert.deepStrictEqual(codes(machine.validate().warnings), ['dead-end-state:a'])
+    })
+  })
+})